@@ -4,9 +4,39 @@
  */
 
 import { config } from './config.js';
+import { STORES, dbGet, dbPut, dbPrune } from './db.js';
+import { configureScheduler, scheduleFetch, isQuotaExhausted, runLimited } from './scheduler.js';
+import { fetchProjectsGraphQL } from './graphql.js';
+import { isWithinWindow } from './campaigns.js';
+import { linkPullRequests, getTimelineReferences } from './links.js';
+import { evaluatePoints } from './points.js';
+import { getCompletion } from './completion.js';
 
 const GITHUB_API_BASE = 'https://api.github.com';
 
+// Fallback page cap when settings.maxPages is not configured
+const DEFAULT_MAX_PAGES = 10;
+
+// Fallback cap on events requests for assignment times when settings.maxAssignmentLookups is not configured
+const DEFAULT_MAX_ASSIGNMENT_LOOKUPS = 50;
+
+// Fallback cap on comments requests for reply details when settings.maxCommentLookups is not configured
+const DEFAULT_MAX_COMMENT_LOOKUPS = 100;
+
+// Fallback cap on timeline requests for closing PRs per project when settings.maxTimelineLookups is not configured
+const DEFAULT_MAX_TIMELINE_LOOKUPS = 50;
+
+// Fallback limits of the response cache when settings.cacheMaxEntries / cacheMaxAgeDays are not configured
+const DEFAULT_CACHE_MAX_ENTRIES = 3000;
+const DEFAULT_CACHE_MAX_AGE_DAYS = 30;
+
+// Per-item lookups (events, comments) run a few at a time so they do not crowd out other requests
+export const LOOKUP_CONCURRENCY = 2;
+
+// Assignment times and reply details looked up this session, keyed by issue URL
+const assignmentCache = new Map();
+const commentDetailsCache = new Map();
+
 /**
  * Get headers for GitHub API requests
  * If a token is configured, it will be included for authenticated requests
@@ -24,6 +54,104 @@ function getHeaders() {
     return headers;
 }
 
+// Counters for network requests vs. responses served from the cache
+const requestStats = {
+    network: 0,
+    notModified: 0,
+    cacheOnly: 0
+};
+
+/**
+ * Get request counters since page load
+ * notModified responses (304) do not count against the GitHub rate limit
+ * @returns {Object} { network, notModified, cacheOnly }
+ */
+export function getRequestStats() {
+    return { ...requestStats };
+}
+
+/**
+ * Fetch a GitHub API URL through the persistent response cache
+ * Sends If-None-Match / If-Modified-Since when a cached copy exists and
+ * serves the cached body on 304 Not Modified. When GitHub refuses the
+ * request (e.g. rate limited) a cached copy is returned marked as stale.
+ * Responses are cached per token, so private data never shows up for another token
+ * @param {string} url - Full API URL
+ * @param {Object} options - { cacheOnly } to skip the network entirely
+ * @returns {Promise<Object>} { ok, status, data, link, fromCache, stale }
+ */
+async function githubFetch(url, { cacheOnly = false } = {}) {
+    const key = `${config.authFingerprint()}:${url}`;
+    const cached = await dbGet(STORES.responses, key);
+    const fromCached = (status, stale = false) => ({
+        ok: true, status, data: cached.data, link: cached.link, fromCache: true, stale
+    });
+    const failed = (status) => cached
+        ? fromCached(status, true)
+        : { ok: false, status, data: null, link: null, fromCache: false, stale: false };
+
+    if (cacheOnly) {
+        if (!cached) return failed(0);
+        requestStats.cacheOnly++;
+        return fromCached(200);
+    }
+
+    // Don't spend requests we know will be refused until the quota resets
+    if (isQuotaExhausted()) {
+        return failed(403);
+    }
+
+    const headers = getHeaders();
+    if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+    } else if (cached?.lastModified) {
+        headers['If-Modified-Since'] = cached.lastModified;
+    }
+
+    // Bypass the browser HTTP cache so conditional requests reach GitHub
+    // and 304 responses are visible to us
+    const response = await scheduleFetch(url, { headers, cache: 'no-store' });
+
+    if (response.status === 304 && cached) {
+        requestStats.notModified++;
+        return fromCached(304);
+    }
+
+    requestStats.network++;
+
+    if (!response.ok) {
+        return failed(response.status);
+    }
+
+    const data = await response.json();
+    const link = response.headers.get('Link');
+
+    await dbPut(STORES.responses, {
+        url: key,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        link,
+        data,
+        fetchedAt: new Date().toISOString()
+    });
+
+    return { ok: true, status: response.status, data, link, fromCache: false, stale: false };
+}
+
+/**
+ * Drop cached responses that were not fully fetched recently and cap how many are kept
+ * A 304 does not rewrite the record, so entries age from their last full response
+ * and are simply fetched again once they are dropped
+ * @param {Object} settings - Settings with optional cacheMaxEntries and cacheMaxAgeDays
+ */
+export async function pruneResponseCache(settings = {}) {
+    const maxAgeDays = settings.cacheMaxAgeDays ?? DEFAULT_CACHE_MAX_AGE_DAYS;
+    await dbPrune(STORES.responses, 'fetchedAt', {
+        maxEntries: settings.cacheMaxEntries ?? DEFAULT_CACHE_MAX_ENTRIES,
+        olderThan: new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+    });
+}
+
 /**
  * Load configuration from projects.json
  * @returns {Promise<Object>} Configuration object
@@ -42,148 +170,581 @@ export async function loadConfig() {
 }
 
 /**
- * Fetch issues for a single repository
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @param {number} perPage - Number of issues per page
- * @returns {Promise<Array>} Array of issues
+ * Extract the URL of the next page from a GitHub Link header
+ * @param {string|null} linkHeader - Value of the Link response header
+ * @returns {string|null} Next page URL, or null on the last page
  */
-export async function fetchProjectIssues(owner, repo, perPage = 100) {
+function getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+
+    const match = linkHeader
+        .split(',')
+        .map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+        .find(m => m && m[2] === 'next');
+
+    return match ? match[1] : null;
+}
+
+/**
+ * Fetch every page of a GitHub list endpoint by following Link rel="next"
+ * Stops after maxPages pages and reports whether more pages were left
+ * @param {string} url - URL of the first page
+ * @param {string} label - Human readable label used in log messages
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @param {Object} options - Passed through to githubFetch
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale }
+ */
+async function fetchAllPages(url, label, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+    const items = [];
+    let nextUrl = url;
+    let pages = 0;
+    let fromCache = true;
+    let stale = false;
+
     try {
-        const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues?state=all&per_page=${perPage}`;
-        const response = await fetch(url, { headers: getHeaders() });
+        while (nextUrl && pages < maxPages) {
+            const response = await githubFetch(nextUrl, options);
 
-        if (!response.ok) {
+            if (!response.ok || response.stale) {
+                // A cache miss in cacheOnly mode is expected, the network pass fills it in
+                if (!options.cacheOnly) {
+                    const fallback = response.stale ? ', showing cached data' : '';
+                    if (response.status === 403 || response.status === 429) {
+                        console.warn(`Rate limited when fetching ${label}${fallback}. Add a GitHub token in the settings modal to increase limits.`);
+                    } else {
+                        console.warn(`Failed to fetch ${label}: ${response.status}${fallback}`);
+                    }
+                }
+                if (!response.ok) {
+                    return { items, truncated: false, ok: false, fromCache: false, stale };
+                }
+                stale = true;
+            }
+
+            items.push(...response.data);
+            fromCache = fromCache && response.fromCache;
+            pages++;
+            nextUrl = getNextPageUrl(response.link);
+        }
+    } catch (error) {
+        console.error(`Error fetching ${label}:`, error);
+        return { items, truncated: false, ok: false, fromCache: false, stale };
+    }
+
+    const truncated = !!nextUrl;
+    if (truncated && !options.cacheOnly) {
+        console.warn(`Stopped fetching ${label} after ${maxPages} pages (${items.length} items). Raise settings.maxPages to fetch the rest.`);
+    }
+
+    return { items, truncated, ok: true, fromCache, stale };
+}
+
+/**
+ * Fetch a single GitHub API resource
+ * Logs failures like fetchAllPages, a stale cached copy is still returned
+ * @param {string} url - Resource URL
+ * @param {string} label - Human readable label used in log messages
+ * @returns {Promise<Object|null>} Response body, or null when it could not be loaded
+ */
+async function fetchOne(url, label) {
+    try {
+        const response = await githubFetch(url);
+        if (!response.ok || response.stale) {
+            const fallback = response.stale ? ', showing cached data' : '';
             if (response.status === 403 || response.status === 429) {
-                console.warn(`Rate limited when fetching ${owner}/${repo}. Add a GitHub token in js/config.js to increase limits.`);
+                console.warn(`Rate limited when fetching ${label}${fallback}. Add a GitHub token in the settings modal to increase limits.`);
             } else {
-                console.warn(`Failed to fetch issues for ${owner}/${repo}: ${response.status}`);
+                console.warn(`Failed to fetch ${label}: ${response.status}${fallback}`);
             }
-            return [];
         }
-
-        return await response.json();
+        return response.ok ? response.data : null;
     } catch (error) {
-        console.error(`Error fetching issues for ${owner}/${repo}:`, error);
-        return [];
+        console.error(`Error fetching ${label}:`, error);
+        return null;
     }
 }
 
+/**
+ * Fetch issues for a single repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} perPage - Number of issues per page
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @param {Object} options - { cacheOnly } to read from the cache only
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale }
+ */
+export async function fetchProjectIssues(owner, repo, perPage = 100, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues?state=all&per_page=${perPage}`;
+    return fetchAllPages(url, `issues for ${owner}/${repo}`, maxPages, options);
+}
+
+/**
+ * Fetch pull requests for a single repository
+ * Uses the Pulls API since the Issues API does not include merged_at
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} perPage - Number of PRs per page
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @param {Object} options - { cacheOnly } to read from the cache only
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale }
+ */
+export async function fetchProjectPulls(owner, repo, perPage = 100, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls?state=all&per_page=${perPage}`;
+    return fetchAllPages(url, `PRs for ${owner}/${repo}`, maxPages, options);
+}
+
 /**
  * Fetch comments for a specific issue
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {number} issueNumber - Issue number
- * @returns {Promise<Array>} Array of comments
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale } items are the comments
  */
-export async function fetchIssueComments(owner, repo, issueNumber) {
-    try {
-        const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}/comments`;
-        const response = await fetch(url, { headers: getHeaders() });
+export async function fetchIssueComments(owner, repo, issueNumber, maxPages = DEFAULT_MAX_PAGES) {
+    return fetchAllPages(getCommentsUrl(owner, repo, issueNumber), `comments for issue #${issueNumber}`, maxPages);
+}
 
-        if (!response.ok) {
-            if (response.status === 403 || response.status === 429) {
-                console.warn(`Rate limited when fetching comments. Add a GitHub token in js/config.js to increase limits.`);
-            } else {
-                console.warn(`Failed to fetch comments for issue #${issueNumber}: ${response.status}`);
-            }
-            return [];
-        }
+function getCommentsUrl(owner, repo, issueNumber) {
+    return `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}/comments?per_page=100`;
+}
 
-        return await response.json();
-    } catch (error) {
-        console.error(`Error fetching comments for issue #${issueNumber}:`, error);
-        return [];
-    }
+/**
+ * Fetch the timeline events of an issue
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @param {Object} options - { cacheOnly } to read from the cache only
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale } items are the timeline events
+ */
+export async function fetchIssueTimeline(owner, repo, issueNumber, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}/timeline?per_page=100`;
+    return fetchAllPages(url, `timeline for issue #${issueNumber}`, maxPages, options);
 }
 
 /**
- * Parse points from issue labels
- * Supports formats: "100", "100 points", "100pts", "100 poins", "pts-100", "points-100", "points:100"
- * @param {Array} labels - Array of label objects
- * @returns {number} Points value
+ * Fetch the events of an issue (labels, assignments, closes, ...)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @param {Object} options - { cacheOnly } to read from the cache only
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale } items are the events, oldest first
  */
-export function parsePointsFromLabels(labels) {
-    if (!labels || !labels.length) return 0;
+export async function fetchIssueEvents(owner, repo, issueNumber, maxPages = DEFAULT_MAX_PAGES, options = {}) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/issues/${issueNumber}/events?per_page=100`;
+    return fetchAllPages(url, `events for issue #${issueNumber}`, maxPages, options);
+}
+
+/**
+ * Fetch a single pull request with its diff stats, reviewers and merge details
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<Object|null>} Pull request, or null when it could not be loaded
+ */
+export function fetchPullRequest(owner, repo, pullNumber) {
+    return fetchOne(`${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pullNumber}`, `PR #${pullNumber}`);
+}
+
+/**
+ * Fetch the reviews of a pull request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale } items are the reviews, oldest first
+ */
+export async function fetchPullReviews(owner, repo, pullNumber, maxPages = DEFAULT_MAX_PAGES) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pullNumber}/reviews?per_page=100`;
+    return fetchAllPages(url, `reviews for PR #${pullNumber}`, maxPages);
+}
+
+/**
+ * Fetch the commits of a pull request, GitHub lists at most 250
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @param {number} maxPages - Maximum number of pages to follow
+ * @returns {Promise<Object>} { items, truncated, ok, fromCache, stale } items are the commits, oldest first
+ */
+export async function fetchPullCommits(owner, repo, pullNumber, maxPages = DEFAULT_MAX_PAGES) {
+    const url = `${GITHUB_API_BASE}/repos/${owner}/${repo}/pulls/${pullNumber}/commits?per_page=100`;
+    return fetchAllPages(url, `commits for PR #${pullNumber}`, maxPages);
+}
+
+/**
+ * Fetch the combined commit status (statuses reported through the Status API)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Object|null>} { state, statuses }, or null when it could not be loaded
+ */
+export function fetchCommitStatus(owner, repo, ref) {
+    return fetchOne(`${GITHUB_API_BASE}/repos/${owner}/${repo}/commits/${ref}/status`, `status of ${ref.slice(0, 7)}`);
+}
+
+/**
+ * Fetch the check runs of a commit (GitHub Actions and other Checks API apps)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Commit SHA
+ * @returns {Promise<Array|null>} Check runs, or null when they could not be loaded
+ */
+export async function fetchCheckRuns(owner, repo, ref) {
+    const data = await fetchOne(`${GITHUB_API_BASE}/repos/${owner}/${repo}/commits/${ref}/check-runs?per_page=100`, `checks of ${ref.slice(0, 7)}`);
+    return data ? data.check_runs || [] : null;
+}
 
-    const pointLabel = labels.find(l => {
-        // Match: "100", "100 points", "100pts", "100 poins"
-        if (/^(\d+)[\s:-]*(points?|poins|pts)?$/i.test(l.name)) return true;
+/**
+ * Look up which PR closed each pointed issue that PR bodies do not already link
+ * Costs one request per issue, so it only runs when points are credited to PR authors,
+ * a few at a time for the most recently updated issues and at most
+ * settings.maxTimelineLookups of them per project
+ * @param {Object} project - Project configuration
+ * @param {Array} issues - Issues linked from PR bodies by linkPullRequests
+ * @param {Array} pulls - All fetched pull requests of the repository
+ * @param {Object} settings - Settings with optional maxTimelineLookups
+ * @param {Object} options - { cacheOnly } to read from the cache only, the cap does not apply
+ * @returns {Promise<Map>} issue number -> getTimelineReferences result
+ */
+async function fetchTimelineReferences(project, issues, pulls, settings, options) {
+    const timelines = new Map();
+    const limit = settings.maxTimelineLookups ?? DEFAULT_MAX_TIMELINE_LOOKUPS;
+    const unlinked = issues
+        .filter(i => i.state === 'closed' && i.points > 0 && !i.closingPR)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
 
-        // Match: "pts-100", "points-100", "points:100", "pts 100"
-        if (/^(pts|points?|poins)[\s:-]*(\d+)$/i.test(l.name)) return true;
+    const lookups = options.cacheOnly ? unlinked : unlinked.slice(0, limit);
+    if (lookups.length < unlinked.length) {
+        console.warn(`Skipped closing PR lookups for ${unlinked.length - lookups.length} issues in ${project.owner}/${project.repo} (limit ${limit}, raise settings.maxTimelineLookups to load more).`);
+    }
+
+    await runLimited(lookups.map(issue => async () => {
+        const { items: events, ok } = await fetchIssueTimeline(project.owner, project.repo, issue.number, DEFAULT_MAX_PAGES, options);
+        if (!ok) return;
+        timelines.set(issue.number, getTimelineReferences(events, pulls, project.owner, project.repo));
+    }), LOOKUP_CONCURRENCY);
+
+    return timelines;
+}
 
-        return false;
+/**
+ * Record when each current assignee was assigned
+ * @param {Object} issue - Issue with assignees
+ * @param {Array} events - Assignment events as { login, created_at }, oldest first
+ * @returns {Object} { assignments: [{ login, assigned_at }], assigned_at } assigned_at is the
+ *   earliest assignment, null when the events do not cover any current assignee
+ */
+export function getAssignmentTimes(issue, events) {
+    const assignments = (issue.assignees || []).map(assignee => {
+        // Latest event wins for people who were unassigned and assigned again
+        const event = events.filter(e => e.login === assignee.login).pop();
+        return { login: assignee.login, assigned_at: event ? event.created_at : null };
     });
 
-    if (!pointLabel) return 0;
+    const times = assignments.map(a => a.assigned_at).filter(Boolean).sort();
+    return { assignments, assigned_at: times[0] || null };
+}
+
+/**
+ * Attach the assignment times that are known without extra requests
+ * GraphQL results include them, REST issues reuse times looked up earlier in the session
+ * while the issue is unchanged; the rest stay 'unknown' until loadAssignmentTimes runs
+ * @param {Object} issue - Processed issue
+ * @returns {Object} Issue with assignments, assigned_at and assignmentStatus ('known' or 'unknown')
+ */
+function resolveAssignmentTimes(issue) {
+    if (issue.assignments) {
+        const events = issue.assignments.map(a => ({ login: a.login, created_at: a.assigned_at }));
+        return { ...issue, ...getAssignmentTimes(issue, events), assignmentStatus: 'known' };
+    }
+    if (!issue.assignees || issue.assignees.length === 0) {
+        return { ...issue, assignments: [], assigned_at: null, assignmentStatus: 'known' };
+    }
+
+    const cached = assignmentCache.get(issue.html_url);
+    if (cached && cached.updated_at === issue.updated_at) {
+        return { ...issue, ...cached.times, assignmentStatus: 'known' };
+    }
+    return { ...issue, assignments: [], assigned_at: null, assignmentStatus: 'unknown' };
+}
+
+/**
+ * Look up the assignment times fetchAllProjectsData left unknown
+ * Costs one events request per issue, so it runs after the list requests, most recently
+ * updated issues first and at most settings.maxAssignmentLookups of them. Issues that were
+ * skipped or whose events could not be loaded keep assignmentStatus 'unknown'
+ * @param {Array} projects - Projects from fetchAllProjectsData
+ * @param {Object} settings - Settings with optional maxAssignmentLookups
+ * @param {Object} options - { cacheOnly } to read from the cache only, the cap does not apply
+ * @returns {Promise<Array>} Projects with the looked up times filled in
+ */
+export async function loadAssignmentTimes(projects, settings = {}, options = {}) {
+    const limit = settings.maxAssignmentLookups ?? DEFAULT_MAX_ASSIGNMENT_LOOKUPS;
+    const unknown = projects
+        .flatMap(project => project.issues
+            .filter(issue => issue.assignmentStatus === 'unknown')
+            .map(issue => ({ project, issue })))
+        .sort((a, b) => new Date(b.issue.updated_at) - new Date(a.issue.updated_at));
+    if (unknown.length === 0) return projects;
+
+    const lookups = options.cacheOnly ? unknown : unknown.slice(0, limit);
+    const resolved = new Map();
+
+    await runLimited(lookups.map(({ project, issue }) => async () => {
+        const result = await fetchIssueEvents(project.owner, project.repo, issue.number, DEFAULT_MAX_PAGES, options);
+        if (!result.ok) return;
+
+        const assignedEvents = result.items
+            .filter(e => e.event === 'assigned' && e.assignee)
+            .map(e => ({ login: e.assignee.login, created_at: e.created_at }));
+        const times = getAssignmentTimes(issue, assignedEvents);
+        assignmentCache.set(issue.html_url, { updated_at: issue.updated_at, times });
+        resolved.set(issue, times);
+    }), LOOKUP_CONCURRENCY);
+
+    const missing = unknown.length - resolved.size;
+    if (missing > 0 && !options.cacheOnly) {
+        console.warn(`Assignment times are unknown for ${missing} assigned issues (limit ${limit}, raise settings.maxAssignmentLookups or add a token to load more).`);
+    }
+    if (resolved.size === 0) return projects;
+
+    return projects.map(project => ({
+        ...project,
+        issues: project.issues.map(issue => (resolved.has(issue)
+            ? { ...issue, ...resolved.get(issue), assignmentStatus: 'known' }
+            : issue))
+    }));
+}
+
+/**
+ * Check who replied on an issue or PR
+ * A reply counts as the owner's when it comes from the repository owner's account
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue or PR number
+ * @returns {Promise<Object|null>} { owner_replied, others_replied }, null when the
+ *   comments could not be loaded
+ */
+export async function fetchCommentDetails(owner, repo, issueNumber) {
+    const { items: comments, ok } = await fetchAllPages(getCommentsUrl(owner, repo, issueNumber), `comments for issue #${issueNumber}`);
+    if (!ok) return null;
+    return {
+        owner_replied: comments.some(c => c.user.login === owner),
+        others_replied: comments.some(c => c.user.login !== owner)
+    };
+}
+
+/**
+ * Attach comment_details to issues and PRs
+ * Details looked up earlier in the session are copied over while the item is unchanged,
+ * the rest cost one request each, at most settings.maxCommentLookups of them, most
+ * recently updated first. Items that were skipped or could not be loaded are left
+ * without comment_details so they count as pending rather than as "no reply"
+ * @param {Array} entries - [{ item, owner, repo }], items are updated in place
+ * @param {Object} settings - Settings with optional maxCommentLookups
+ * @param {Function} onProgress - Optional callback(done, total) after each request
+ * @returns {Promise<void>}
+ */
+export async function addCommentDetails(entries, settings = {}, onProgress = () => {}) {
+    const lookups = [];
+    entries.forEach(entry => {
+        const cached = commentDetailsCache.get(entry.item.html_url);
+        if (cached && cached.updated_at === entry.item.updated_at) {
+            entry.item.comment_details = cached.details;
+        } else {
+            lookups.push(entry);
+        }
+    });
 
-    const match = pointLabel.name.match(/\d+/);
-    if (match) {
-        return parseInt(match[0], 10);
+    const limit = settings.maxCommentLookups ?? DEFAULT_MAX_COMMENT_LOOKUPS;
+    const queued = lookups
+        .sort((a, b) => new Date(b.item.updated_at) - new Date(a.item.updated_at))
+        .slice(0, limit);
+    if (lookups.length > queued.length) {
+        console.warn(`Skipped reply details for ${lookups.length - queued.length} items (limit ${limit}, raise settings.maxCommentLookups to load more).`);
     }
 
-    return 0;
+    let done = 0;
+    await runLimited(queued.map(({ item, owner, repo }) => async () => {
+        const details = await fetchCommentDetails(owner, repo, item.number);
+        if (details) {
+            item.comment_details = details;
+            commentDetailsCache.set(item.html_url, { updated_at: item.updated_at, details });
+        }
+        onProgress(++done, queued.length);
+    }), LOOKUP_CONCURRENCY);
+}
+
+/**
+ * Parse points from issue labels with the default rules
+ * Supports formats: "100", "100 points", "100pts", "100 poins", "pts-100", "points-100", "points:100"
+ * @param {Array} labels - Array of label objects
+ * @returns {number} Points value
+ */
+export function parsePointsFromLabels(labels) {
+    return evaluatePoints(labels).points;
 }
 
 /**
  * Process raw issues from GitHub API
  * @param {Array} issues - Raw issues from API
- * @param {Date} thresholdDate - Threshold date for closed issues
+ * @param {Object} window - Campaign window { start, end } from getCampaignWindow
+ * @param {Object} pointsRules - pointsRules section of projects.json
+ * @param {Object} project - Project configuration the issues belong to
+ * @param {Object} settings - Settings with optional disqualifyingLabels
  * @returns {Array} Processed issues
  */
-export function processIssues(issues, thresholdDate) {
-    const processedIssues = issues.map(issue => ({
-        ...issue,
-        isPR: !!issue.pull_request,
-        points: parsePointsFromLabels(issue.labels)
-    }));
+export function processIssues(issues, window, pointsRules = {}, project = null, settings = {}) {
+    const processedIssues = issues.map(atWindowEnd(window)).map(issue => {
+        const { points, breakdown } = evaluatePoints(issue.labels, pointsRules, project);
+        return {
+            ...issue,
+            isPR: !!issue.pull_request,
+            points,
+            pointsBreakdown: breakdown,
+            points_at: points > 0 ? getPointsTime(issue, breakdown) : null,
+            completion: getCompletion(issue, settings)
+        };
+    });
+
+    return processedIssues.filter(isActiveInWindow(window));
+}
+
+/**
+ * When an issue started offering its points
+ * The last time its base points label was added, or the creation time when label
+ * events are not available (REST responses do not include them)
+ * @param {Object} issue - Issue with optional label_events
+ * @param {Array} breakdown - From evaluatePoints
+ * @returns {string} ISO timestamp
+ */
+function getPointsTime(issue, breakdown) {
+    const baseLabel = breakdown.find(step => step.type === 'base')?.label;
+    const labeled = (issue.label_events || []).filter(event => event.name === baseLabel).pop();
+    return labeled?.created_at || issue.created_at;
+}
+
+/**
+ * Build a mapper that shows items as they were when the campaign ended
+ * Items closed after the end were still open during the campaign, so their points
+ * stay offered but are not collected
+ * @param {Object} window - Campaign window { start, end }
+ * @returns {Function} Mapper for issues and PRs
+ */
+function atWindowEnd(window) {
+    return (item) => {
+        if (!window.end || !item.closed_at || new Date(item.closed_at) <= window.end) return item;
 
-    return processedIssues.filter(issue => {
-        // For closed items, only include those closed after threshold
-        if (issue.state === 'closed') {
-            const closedDate = new Date(issue.closed_at);
-            return closedDate >= thresholdDate;
+        const reopened = { ...item, state: 'open', state_reason: null, closed_at: null };
+        if ('merged_at' in item) reopened.merged_at = null;
+        return reopened;
+    };
+}
+
+/**
+ * Build a predicate for items that were part of a campaign
+ * Items opened after the campaign ended are dropped, and closed items
+ * only count when they were closed inside the window
+ * @param {Object} window - Campaign window { start, end }
+ * @returns {Function} Predicate for issues and PRs
+ */
+function isActiveInWindow(window) {
+    return (item) => {
+        if (window.end && new Date(item.created_at) > window.end) return false;
+        if (item.state === 'closed') {
+            return isWithinWindow(item.closed_at, window);
         }
         return true;
-    });
+    };
+}
+
+/**
+ * Summarize why a project's lists may be missing items
+ * @param {...Object} results - fetchAllPages results
+ * @returns {string|null} 'failed', 'stale', 'truncated' or null when complete
+ */
+function getIncompleteReason(...results) {
+    if (results.some(r => !r.ok)) return 'failed';
+    if (results.some(r => r.stale)) return 'stale';
+    if (results.some(r => r.truncated)) return 'truncated';
+    return null;
+}
+
+/**
+ * Fetch issues and PRs for one project through the REST API
+ * @param {Object} project - Project configuration
+ * @param {Object} settings - Settings object
+ * @param {number} maxPages - Maximum number of pages per list
+ * @param {Object} options - { cacheOnly }
+ * @returns {Promise<Object>} { issues, pulls } fetchAllPages results
+ */
+async function fetchProjectRest(project, settings, maxPages, options) {
+    // Fetch issues and PRs (Issues API returns both, but PRs are simplified)
+    // We fetch issues and filter out PRs
+    const issues = await fetchProjectIssues(project.owner, project.repo, settings.perPage, maxPages, options);
+
+    // Fetch PRs using Pulls API to get merged_at info
+    const pulls = await fetchProjectPulls(project.owner, project.repo, settings.perPage, maxPages, options);
+
+    return { issues, pulls };
+}
+
+/**
+ * Check whether the batched GraphQL source should be used
+ * GraphQL requires authentication, so it is only available with a token
+ * @param {Object} settings - Settings object with optional dataSource ('auto' or 'rest')
+ * @returns {boolean}
+ */
+export function shouldUseGraphQL(settings) {
+    return config.hasToken() && settings.dataSource !== 'rest';
 }
 
 /**
  * Fetch all projects data
+ * Uses batched GraphQL queries when a token is set and falls back to the
+ * REST API for anonymous users or projects GraphQL could not load
  * @param {Array} projects - Array of project configurations
- * @param {Object} settings - Settings object with thresholdDate and perPage
+ * @param {Object} settings - Settings object with perPage, maxPages, concurrency and dataSource
+ * @param {Object} window - Campaign window { start, end } from getCampaignWindow
+ * @param {Object} options - { cacheOnly } to build the data from cached responses only,
+ *                           { pointsRules } the pointsRules section of projects.json
  * @returns {Promise<Array>} Array of projects with their issues
  */
-export async function fetchAllProjectsData(projects, settings) {
-    const thresholdDate = new Date(settings.thresholdDate);
+export async function fetchAllProjectsData(projects, settings, window, options = {}) {
+    const maxPages = settings.maxPages || DEFAULT_MAX_PAGES;
+    configureScheduler({ concurrency: settings.concurrency });
+
+    const graphqlResults = shouldUseGraphQL(settings)
+        ? await fetchProjectsGraphQL(projects, { ...settings, maxPages }, options)
+        : new Map();
 
     const promises = projects.map(async (project) => {
-        // Fetch issues and PRs (Issues API returns both, but PRs are simplified)
-        // We fetch issues and filter out PRs
-        const issuesResponse = await fetchProjectIssues(project.owner, project.repo, settings.perPage);
-        const processedIssues = processIssues(issuesResponse, thresholdDate);
-        const issuesOnly = processedIssues.filter(i => !i.isPR);
-
-        // Fetch PRs using Pulls API to get merged_at info
-        const pullsUrl = `${GITHUB_API_BASE}/repos/${project.owner}/${project.repo}/pulls?state=all&per_page=${settings.perPage}`;
-        let prsOnly = [];
-        try {
-            const prsResponse = await fetch(pullsUrl, { headers: getHeaders() });
-            if (prsResponse.ok) {
-                const prsRaw = await prsResponse.json();
-                prsOnly = prsRaw.filter(pr => {
-                    if (pr.state === 'closed') {
-                        const closedDate = new Date(pr.closed_at);
-                        return closedDate >= thresholdDate;
-                    }
-                    return true;
-                });
-            }
-        } catch (error) {
-            console.error(`Error fetching PRs for ${project.owner}/${project.repo}:`, error);
+        const graphqlResult = graphqlResults.get(project.id);
+        const { issues: issuesResult, pulls: pullsResult } = graphqlResult
+            || await fetchProjectRest(project, settings, maxPages, options);
+
+        const processedIssues = processIssues(issuesResult.items, window, options.pointsRules, project, settings);
+        const pulls = pullsResult.items.map(atWindowEnd(window));
+        let issuesOnly = linkPullRequests(
+            processedIssues.filter(i => !i.isPR),
+            pulls,
+            project.owner,
+            project.repo
+        );
+
+        // GraphQL already reports manually linked PRs, REST needs the issue timelines
+        if (settings.attribution === 'pr-author' && !graphqlResult) {
+            const timelines = await fetchTimelineReferences(project, issuesOnly, pulls, settings, options);
+            issuesOnly = linkPullRequests(issuesOnly, pulls, project.owner, project.repo, timelines);
         }
 
+        issuesOnly = issuesOnly.map(resolveAssignmentTimes);
+
+        const prsOnly = pulls.filter(isActiveInWindow(window));
+
         // Calculate project stats for issues
         const openCount = issuesOnly.filter(i => i.state === 'open').length;
         const closedCount = issuesOnly.filter(i => i.state === 'closed').length;
@@ -195,6 +756,15 @@ export async function fetchAllProjectsData(projects, settings) {
             ...project,
             issues: issuesOnly,
             prs: prsOnly,
+            // True when every page was served from the response cache
+            fromCache: issuesResult.fromCache && pullsResult.fromCache,
+            // Lists that hit the page cap and may be missing items
+            truncated: {
+                issues: issuesResult.truncated,
+                prs: pullsResult.truncated
+            },
+            // Why the data for this project may not reflect GitHub, or null
+            incomplete: options.cacheOnly ? null : getIncompleteReason(issuesResult, pullsResult),
             stats: {
                 open: openCount,
                 closed: closedCount,
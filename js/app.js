@@ -2,52 +2,131 @@
  * Main Application Entry Point
  */
 
-import { loadConfig, fetchAllProjectsData } from './api.js';
+import {
+    loadConfig,
+    fetchAllProjectsData,
+    loadAssignmentTimes,
+    addCommentDetails,
+    shouldUseGraphQL,
+    pruneResponseCache
+} from './api.js';
+import { getRateLimit, onRateLimitChange } from './scheduler.js';
+import { getCampaigns, getActiveCampaign, getCampaignWindow } from './campaigns.js';
+import { config } from './config.js';
+import { AUDIT_RULES, runAudit, getExcludedIssues } from './audit.js';
 import {
     defaultFilters,
     applyFilters,
+    filterByCategory,
     sortProjects,
     calculateGlobalStats,
     getVisibleProjects,
     buildContributorLeaderboard,
-    calculateDailyCounts
+    buildPublisherLeaderboard,
+    sortPublishers,
+    calculateDailyCounts,
+    collectFacetOptions,
+    buildContributorProfile,
+    calculateBurnUp,
+    matchesContributor,
+    getAssignedAt
 } from './filters.js';
+import { isCompleted } from './completion.js';
 import {
     initUI,
     renderStats,
     renderLeaderboard,
     renderContributorsLeaderboard,
     renderPRsLeaderboard,
+    renderPublishersLeaderboard,
+    renderAuditReport,
     renderFiltersBar,
     renderHeatmaps,
     showDayActivity,
+    closeDayModal,
+    showContributorProfile,
+    closeContributorProfile,
     showLoading,
     hideLoading,
-    showEmpty
+    setRefreshing,
+    showEmpty,
+    renderQuotaBanner,
+    renderCampaignSwitcher,
+    renderTrends,
+    renderBurnUp
 } from './ui.js';
-import { initModal, openModal } from './modal.js';
+import { initModal, openModal, closeModal, getCurrentIssue } from './modal.js';
+import { readUrlState, updateUrl, isModalEntry } from './router.js';
+import { initSearch } from './search.js';
+import { initExport, buildContributorsExport, buildProjectsExport, buildPRsExport, downloadFile } from './export.js';
+import {
+    buildSnapshot,
+    saveSnapshot,
+    getSnapshots,
+    compareWithPrevious,
+    exportSnapshots,
+    importSnapshots,
+    getTrendSeries
+} from './snapshots.js';
 
 // Application State
 const state = {
     config: null,
     projects: [],
     contributors: [],
+    campaign: null,
+    window: null,
     filters: { ...defaultFilters },
     expandedProjects: new Set(),
+    expandedPublishers: new Set(),
     activeTab: 'repos',
-    isLoading: false
+    openDay: null,
+    // Username of the open contributor profile
+    openContributor: null,
+    // Filters, tab and campaign a plain link opens, the URL only records differences
+    urlDefaults: null,
+    // Modals from the URL that are opened once their data has loaded
+    pendingUrlModals: null,
+    isLoading: false,
+    isLoadingCommentDetails: false,
+    auditReport: null,
+    isAuditing: false,
+    auditExcludedRules: config.AUDIT_EXCLUDED_RULES,
+    // Stored snapshots of the campaign and the movement since the latest earlier one
+    snapshots: [],
+    snapshotChanges: null
+};
+
+// Content and filter bar elements shown for each tab
+const TAB_SECTIONS = {
+    repos: ['repos-content', 'filter-bar'],
+    contributors: ['contributors-content', 'contributors-filter-bar'],
+    prs: ['prs-content', 'prs-filter-bar'],
+    publishers: ['publishers-content', 'publishers-filter-bar'],
+    audit: ['audit-content', 'audit-filter-bar']
 };
 
+// Issues whose reply details were already requested, new issue objects after a refresh are tried again
+const commentDetailsTried = new WeakSet();
+
+// Counts data loads, a load only writes its results while it is still the latest one
+let dataRequest = 0;
+
 // Initialize application
 async function init() {
-    initUI();
-    initModal();
+    initUI({ onDayModalClose: handleDayModalClose, onProfileClose: handleProfileClose });
+    initModal({ onClose: handleModalClose });
+    initSearch({ getProjects: () => state.projects, onSelect: handleIssueClick });
+    initExport({ getExport });
     setupEventListeners();
     setupTabs();
+    window.addEventListener('popstate', handlePopState);
+    onRateLimitChange(() => renderQuotaBanner(getRateLimits(), state.projects));
 
     try {
         showLoading();
         state.config = await loadConfig();
+        await pruneResponseCache(state.config.settings);
 
         // Apply default sort from config
         if (state.config.settings.defaultSort) {
@@ -57,9 +136,25 @@ async function init() {
             state.filters.sortOrder = state.config.settings.defaultSortOrder;
         }
 
-        await fetchData();
-        renderFiltersBar(state.filters, handleFilterChange);
-        render();
+        state.urlDefaults = {
+            tab: 'repos',
+            campaign: getActiveCampaign(state.config, '').id,
+            filters: { ...state.filters }
+        };
+
+        // Links carry the view they were shared from
+        const urlState = readUrlState();
+        applyUrlView(urlState);
+        state.pendingUrlModals = urlState;
+
+        selectCampaign(urlState.campaign || config.CAMPAIGN_ID);
+        updateUrl({
+            ...getUrlView(),
+            day: urlState.day,
+            contributor: urlState.contributor,
+            issue: urlState.issue
+        }, state.urlDefaults);
+        await loadCampaignData();
     } catch (error) {
         console.error('Failed to initialize:', error);
         hideLoading();
@@ -67,72 +162,556 @@ async function init() {
     }
 }
 
-async function fetchData() {
-    state.isLoading = true;
-    showLoading();
+function selectCampaign(campaignId) {
+    state.campaign = getActiveCampaign(state.config, campaignId);
+    state.window = getCampaignWindow(state.campaign);
+    renderCampaignSwitcher(getCampaigns(state.config), state.campaign, handleCampaignChange);
+}
+
+/**
+ * Load data for the active campaign
+ * Shows cached data right away, then revalidates it against GitHub
+ */
+async function loadCampaignData() {
+    const request = ++dataRequest;
+    const hasCache = await loadCachedData(request);
+    if (request !== dataRequest) return;
+    if (hasCache) {
+        updateFiltersBar();
+        render();
+        restoreUrlModals();
+    }
+
+    if (!await fetchData({ background: hasCache, request })) return;
+    updateFiltersBar();
+    render();
+    restoreUrlModals({ final: true });
+    await loadAssignments();
+}
+
+async function handleCampaignChange(campaignId) {
+    config.CAMPAIGN_ID = campaignId;
+    selectCampaign(campaignId);
+    syncUrl({ push: true });
+    await loadCampaignData();
+}
+
+/**
+ * Current view as recorded in the URL
+ */
+function getUrlView() {
+    const current = getCurrentIssue();
+    return {
+        tab: state.activeTab,
+        campaign: state.campaign?.id,
+        filters: state.filters,
+        expanded: Array.from(state.expandedProjects),
+        day: state.openDay,
+        contributor: state.openContributor,
+        issue: current ? { owner: current.owner, repo: current.repo, number: current.issue.number } : null
+    };
+}
+
+function syncUrl(options = {}) {
+    updateUrl(getUrlView(), state.urlDefaults, options);
+}
+
+/**
+ * Apply the tab, filters and expanded projects from a URL
+ * @param {Object} urlState - From readUrlState
+ */
+function applyUrlView(urlState) {
+    state.filters = { ...state.urlDefaults.filters, ...urlState.filters };
+    state.expandedProjects = new Set(urlState.expanded);
+    activateTab(TAB_SECTIONS[urlState.tab] ? urlState.tab : state.urlDefaults.tab);
+}
+
+/**
+ * Find an issue or PR in the loaded data
+ * @param {Object} ref - { owner, repo, number }
+ * @returns {Object|null} The issue or PR
+ */
+function findItem(ref) {
+    const project = state.projects.find(p => p.owner === ref.owner && p.repo === ref.repo);
+    if (!project) return null;
+    return [...project.issues, ...(project.prs || [])].find(i => i.number === ref.number) || null;
+}
+
+/**
+ * Open the modals a shared link points to
+ * The link's entry is split into a base view plus a modal entry so Back closes the modal
+ * @param {Object} options - { final } gives up on issues and contributors that are not in the fresh data
+ */
+function restoreUrlModals({ final = false } = {}) {
+    const pending = state.pendingUrlModals;
+    if (!pending || (!pending.issue && !pending.day && !pending.contributor)) return;
+
+    const item = pending.issue && findItem(pending.issue);
+    if (pending.issue && !item && !final) return;
+    const contributor = pending.contributor && findContributor(pending.contributor);
+    if (pending.contributor && !contributor && !final) return;
+
+    state.pendingUrlModals = null;
+    updateUrl({ ...getUrlView(), day: null, contributor: null, issue: null }, state.urlDefaults);
+
+    if (pending.day) {
+        openDay(pending.day.date, pending.day.type);
+        syncUrl({ push: true, modal: 'day' });
+    }
+    if (contributor) {
+        openContributor(contributor);
+        syncUrl({ push: true, modal: 'contributor' });
+    }
+    if (item) {
+        openModal(item, pending.issue.owner, pending.issue.repo);
+        syncUrl({ push: true, modal: 'issue' });
+    }
+}
+
+/**
+ * Bring the page in line with the URL after Back or Forward
+ */
+function handlePopState() {
+    const urlState = readUrlState();
+    applyUrlView(urlState);
+
+    const day = urlState.day;
+    if (!day && state.openDay) {
+        state.openDay = null;
+        closeDayModal();
+    } else if (day && (day.date !== state.openDay?.date || day.type !== state.openDay?.type)) {
+        openDay(day.date, day.type);
+    }
+
+    const contributor = urlState.contributor && findContributor(urlState.contributor);
+    if (!contributor && state.openContributor) {
+        state.openContributor = null;
+        closeContributorProfile();
+    } else if (contributor && contributor.username !== state.openContributor) {
+        openContributor(contributor);
+    }
+
+    const item = urlState.issue && findItem(urlState.issue);
+    if (!item && getCurrentIssue()) {
+        closeModal();
+    } else if (item && getCurrentIssue()?.issue !== item) {
+        openModal(item, urlState.issue.owner, urlState.issue.repo);
+    }
+
+    const campaignId = urlState.campaign || state.urlDefaults.campaign;
+    if (campaignId !== state.campaign?.id) {
+        selectCampaign(campaignId);
+        loadCampaignData();
+        return;
+    }
+
+    updateFiltersBar();
+    render();
+}
 
+/**
+ * Close the issue modal, going Back when it was opened on top of the current view
+ */
+function handleModalClose() {
+    if (isModalEntry('issue')) {
+        history.back();
+        return;
+    }
+    closeModal();
+    syncUrl();
+}
+
+function handleProfileClose() {
+    if (isModalEntry('contributor')) {
+        history.back();
+        return;
+    }
+    state.openContributor = null;
+    closeContributorProfile();
+    syncUrl();
+}
+
+function handleDayModalClose() {
+    if (isModalEntry('day')) {
+        history.back();
+        return;
+    }
+    state.openDay = null;
+    closeDayModal();
+    syncUrl();
+}
+
+/**
+ * Populate state from the persistent response cache without touching the network
+ * @param {number} request - From loadCampaignData, the results are dropped once a newer load started
+ * @returns {Promise<boolean>} True when cached data was found
+ */
+async function loadCachedData(request) {
     try {
-        state.projects = await fetchAllProjectsData(
+        const projects = await fetchAllProjectsData(
             state.config.projects,
+            state.config.settings,
+            state.window,
+            { cacheOnly: true, pointsRules: state.config.pointsRules }
+        );
+        if (!projects.some(p => p.fromCache)) return false;
+
+        const withAssignments = await loadAssignmentTimes(projects, state.config.settings, { cacheOnly: true });
+        if (request !== dataRequest) return false;
+
+        state.projects = withAssignments;
+        state.auditReport = null;
+        state.contributors = buildContributorLeaderboard(
+            state.projects,
+            state.window,
+            state.filters.contribSort,
             state.config.settings
         );
+        await updateSnapshots();
+        hideLoading();
+        return true;
+    } catch (error) {
+        console.error('Failed to load cached data:', error);
+        return false;
+    }
+}
+
+/**
+ * Fetch fresh data from GitHub
+ * @param {Object} options - { background } keeps the current view on screen while revalidating,
+ *                           { request } from loadCampaignData, a new one is started by default
+ * @returns {Promise<boolean>} False when a newer load replaced this one before it finished
+ */
+async function fetchData({ background = false, request = ++dataRequest } = {}) {
+    state.isLoading = true;
+    if (background) {
+        setRefreshing(true);
+    } else {
+        showLoading();
+    }
+
+    try {
+        const projects = await fetchAllProjectsData(
+            state.config.projects,
+            state.config.settings,
+            state.window,
+            { pointsRules: state.config.pointsRules }
+        );
+        // The newer load owns the state and the loading indicators
+        if (request !== dataRequest) return false;
+
+        state.projects = projects;
+        state.auditReport = null;
 
         // Build contributor leaderboard
         state.contributors = buildContributorLeaderboard(
             state.projects,
-            state.config.settings.thresholdDate,
-            state.filters.contribSort
+            state.window,
+            state.filters.contribSort,
+            state.config.settings
         );
+        await updateSnapshots({ save: true });
     } catch (error) {
         console.error('Failed to fetch data:', error);
     } finally {
-        state.isLoading = false;
-        hideLoading();
+        if (request === dataRequest) {
+            state.isLoading = false;
+            setRefreshing(false);
+            hideLoading();
+        }
+    }
+    return request === dataRequest;
+}
+
+/**
+ * Look up the assignment times the list requests did not include, then render again
+ * Runs after the lists are loaded so the per-issue events requests never delay them
+ */
+async function loadAssignments() {
+    const projects = state.projects;
+    const updated = await loadAssignmentTimes(projects, state.config.settings);
+
+    // Nothing was looked up, or a refresh replaced the data in the meantime
+    if (updated === projects || state.projects !== projects) return;
+
+    state.projects = updated;
+    state.contributors = buildContributorLeaderboard(
+        state.projects,
+        state.window,
+        state.filters.contribSort,
+        state.config.settings
+    );
+    render();
+}
+
+/**
+ * Load the campaign's snapshots and compare the current standings with them
+ * @param {Object} options - { save } stores today's snapshot, skipped when some
+ *                           projects could not be fetched so gaps are not recorded as drops
+ */
+async function updateSnapshots({ save = false } = {}) {
+    const current = buildSnapshot(state.projects, state.window, state.campaign.id, state.config.settings);
+    const complete = !state.projects.some(p => p.incomplete === 'failed' || p.incomplete === 'stale');
+    if (save && complete) await saveSnapshot(current);
+
+    const snapshots = await getSnapshots(current.campaign);
+    // Switched to another campaign while reading
+    if (state.campaign.id !== current.campaign) return;
+
+    state.snapshots = snapshots;
+    state.snapshotChanges = compareWithPrevious(current, state.snapshots);
+}
+
+function handleSnapshotExport() {
+    const date = new Date().toISOString().split('T')[0];
+    downloadFile(exportSnapshots(state.snapshots), 'application/json', `snapshots-${state.campaign.id}-${date}.json`);
+}
+
+async function handleSnapshotImport(file) {
+    const imported = await importSnapshots(await file.text());
+    if (imported === 0) {
+        console.warn('No snapshots found in', file.name);
+        return;
     }
+    await updateSnapshots();
+    render();
+}
+
+/**
+ * Rate limits of the APIs the data is loaded from, GraphQL has its own quota
+ * @returns {Object} { core, graphql } graphql is null when REST is the only source
+ */
+function getRateLimits() {
+    return {
+        core: getRateLimit('core'),
+        graphql: state.config && shouldUseGraphQL(state.config.settings) ? getRateLimit('graphql') : null
+    };
 }
 
 function render() {
-    const stats = calculateGlobalStats(state.projects, state.config.settings.thresholdDate);
+    renderQuotaBanner(getRateLimits(), state.projects);
+
+    const stats = calculateGlobalStats(state.projects, state.window, { category: state.filters.category });
     renderStats(stats);
 
-    // Render heatmaps
+    // Render heatmaps over the campaign, open-ended campaigns run until today
     const heatmapData = calculateDailyCounts(
-        state.projects,
-        '2026-01-30', // Forced range as requested
-        '2026-03-30'
+        getHeatmapProjects(),
+        state.window.start,
+        state.window.end || new Date(),
+        { contributor: state.filters.heatmapContributor, weight: state.filters.heatmapWeight }
     );
-    renderHeatmaps(heatmapData, handleDayClick);
+    renderHeatmaps(heatmapData, handleDayClick, { weight: state.filters.heatmapWeight });
+    renderTrends(getTrendSeries(state.snapshots));
+    renderBurnUp(calculateBurnUp(getBurnUpProjects(), state.window), handleDayClick);
 
     if (state.activeTab === 'repos') {
         // Render repos leaderboard
-        const filteredProjects = applyFilters(state.projects, state.filters);
-        const sortedProjects = sortProjects(filteredProjects, state.filters.sortBy, state.filters.sortOrder);
-        const visibleProjects = getVisibleProjects(sortedProjects);
-
         renderLeaderboard(
-            visibleProjects,
+            getFilteredProjects(),
             state.expandedProjects,
             handleProjectToggle,
-            handleIssueClick
+            handleIssueClick,
+            { groupBy: state.filters.groupBy, categories: state.config.categories, changes: state.snapshotChanges }
         );
     } else if (state.activeTab === 'contributors') {
-        // Render contributors leaderboard
-        const contributors = buildContributorLeaderboard(
-            state.projects,
-            state.config.settings.thresholdDate,
-            state.filters.contribSort
-        );
-
-        renderContributorsLeaderboard(contributors, handleIssueClick);
+        // Render contributors leaderboard, excluded audit rules need the audit report
+        const usesAudit = state.auditExcludedRules.length > 0;
+        if (usesAudit) loadAudit();
+        renderContributorsLeaderboard(getContributors(), handleContributorClick, state.snapshotChanges, {
+            auditPending: usesAudit && state.isAuditing,
+            auditUnknown: usesAudit ? state.auditReport?.unknown.length || 0 : 0
+        });
     } else if (state.activeTab === 'prs') {
         // Render PRs leaderboard
         renderPRsLeaderboard(state.projects, state.filters, handleIssueClick);
+    } else if (state.activeTab === 'publishers') {
+        // Render publishers leaderboard, responsiveness fills in as comment details load
+        const publishers = buildPublisherLeaderboard(
+            filterByCategory(state.projects, state.filters.category),
+            state.window
+        );
+        const sortedPublishers = sortPublishers(publishers, state.filters.publisherSort, state.filters.publisherSortOrder);
+
+        renderPublishersLeaderboard(sortedPublishers, state.expandedPublishers, handlePublisherToggle);
+        loadCommentDetails();
+    } else if (state.activeTab === 'audit') {
+        renderAuditReport(state.auditReport, AUDIT_RULES, state.auditExcludedRules, handleAuditRuleToggle, handleIssueClick, handleAuditRetry);
+        loadAudit();
+    }
+}
+
+/**
+ * Run the points audit for the loaded projects
+ * Runs on demand since it fetches the events of every point-bearing issue
+ */
+async function loadAudit() {
+    if (state.auditReport || state.isAuditing || state.projects.length === 0) return;
+
+    const projects = state.projects;
+    state.isAuditing = true;
+    try {
+        const report = await runAudit(projects, state.window, {
+            pointsRules: state.config.pointsRules,
+            settings: state.config.settings
+        });
+        // Drop reports for data that was replaced while the audit ran
+        if (projects === state.projects) {
+            state.auditReport = report;
+        }
+    } catch (error) {
+        console.error('Failed to run audit:', error);
+        return;
+    } finally {
+        state.isAuditing = false;
+    }
+
+    if (state.activeTab === 'audit' || state.activeTab === 'contributors') {
+        render();
+    }
+}
+
+/**
+ * Run the audit again, for issues whose events could not be loaded the first time
+ */
+function handleAuditRetry() {
+    if (state.isAuditing) return;
+    state.auditReport = null;
+    render();
+}
+
+function handleAuditRuleToggle(ruleId) {
+    state.auditExcludedRules = state.auditExcludedRules.includes(ruleId)
+        ? state.auditExcludedRules.filter(id => id !== ruleId)
+        : [...state.auditExcludedRules, ruleId];
+    config.AUDIT_EXCLUDED_RULES = state.auditExcludedRules;
+    render();
+}
+
+/**
+ * Fetch owner-reply details for commented issues that do not have them yet
+ * Only needed by the publishers tab, so it runs on demand instead of on every refresh
+ */
+async function loadCommentDetails() {
+    if (state.isLoadingCommentDetails) return;
+
+    // Each issue is tried once per data load, failed and skipped ones stay pending until a refresh
+    const pending = state.projects.flatMap(project => project.issues
+        .filter(issue => issue.comments > 0 && !issue.comment_details && !commentDetailsTried.has(issue))
+        .map(item => ({ item, owner: project.owner, repo: project.repo })));
+    if (pending.length === 0) return;
+
+    pending.forEach(({ item }) => commentDetailsTried.add(item));
+    state.isLoadingCommentDetails = true;
+    try {
+        await addCommentDetails(pending, state.config.settings);
+    } finally {
+        state.isLoadingCommentDetails = false;
+    }
+
+    if (state.activeTab === 'publishers') {
+        render();
     }
 }
 
+/**
+ * Projects as shown on the repos tab, filtered and sorted
+ * @returns {Array} Projects with filteredIssues and filteredStats
+ */
+function getFilteredProjects() {
+    const filteredProjects = applyFilters(state.projects, state.filters);
+    const sortedProjects = sortProjects(filteredProjects, state.filters.sortBy, state.filters.sortOrder);
+    return getVisibleProjects(sortedProjects);
+}
+
+/**
+ * Projects the heatmaps are scoped to
+ * @returns {Array} Projects in the chosen category, or the chosen project
+ */
+function getHeatmapProjects() {
+    const projects = filterByCategory(state.projects, state.filters.heatmapCategory);
+    if (state.filters.heatmapProject === 'all') return projects;
+    return projects.filter(p => p.id === state.filters.heatmapProject);
+}
+
+/**
+ * Projects the burn-up chart is scoped to
+ * @returns {Array} Projects in the chosen category, or the chosen project
+ */
+function getBurnUpProjects() {
+    const projects = filterByCategory(state.projects, state.filters.burnUpCategory);
+    if (state.filters.burnUpProject === 'all') return projects;
+    return projects.filter(p => p.id === state.filters.burnUpProject);
+}
+
+/**
+ * Contributor leaderboard as shown on the contributors tab
+ * @returns {Array} Contributors from buildContributorLeaderboard
+ */
+function getContributors() {
+    return buildContributorLeaderboard(
+        state.projects,
+        state.window,
+        state.filters.contribSort,
+        state.config.settings,
+        getExcludedIssues(state.auditReport, state.auditExcludedRules)
+    );
+}
+
+/**
+ * Build an export of the current view for the export menu
+ * @param {string} kind - 'contributors', 'projects' or 'prs'
+ * @returns {Object|null} { dataset, name }
+ */
+function getExport(kind) {
+    const date = new Date().toISOString().split('T')[0];
+    const name = `${kind}-${state.campaign?.id || 'all'}-${date}`;
+
+    switch (kind) {
+        case 'contributors':
+            return { dataset: buildContributorsExport(getContributors()), name };
+        case 'projects':
+            return { dataset: buildProjectsExport(getFilteredProjects()), name };
+        case 'prs':
+            return { dataset: buildPRsExport(state.projects, state.filters), name };
+        default:
+            console.warn(`Unknown export: ${kind}`);
+            return null;
+    }
+}
+
+function updateFiltersBar() {
+    const issueOptions = collectFacetOptions(state.projects.flatMap(p => p.issues));
+    const prOptions = collectFacetOptions(state.projects.flatMap(p => p.prs || []));
+    renderFiltersBar(state.filters, handleFilterChange, {
+        categories: getUsedCategories(),
+        projects: state.config.projects,
+        contributors: getContributors().map(c => c.username).sort((a, b) => a.localeCompare(b)),
+        labels: issueOptions.labels,
+        authors: issueOptions.authors,
+        prLabels: prOptions.labels,
+        prAuthors: prOptions.authors
+    });
+}
+
+/**
+ * Categories from projects.json that at least one project belongs to
+ * @returns {Array} [{ id, name, color }]
+ */
+function getUsedCategories() {
+    const categories = state.config?.categories || {};
+    return Object.entries(categories)
+        .filter(([id]) => state.config.projects.some(p => p.category === id))
+        .map(([id, category]) => ({ id, ...category }));
+}
+
 function handleFilterChange(filterType, value) {
     state.filters[filterType] = value;
-    renderFiltersBar(state.filters, handleFilterChange);
+    // A project picked for the burn-up may not be in the new category
+    if (filterType === 'burnUpCategory') state.filters.burnUpProject = 'all';
+    if (filterType === 'heatmapCategory') state.filters.heatmapProject = 'all';
+    syncUrl({ push: true });
+    updateFiltersBar();
     render();
 }
 
@@ -142,22 +721,66 @@ function handleProjectToggle(projectId) {
     } else {
         state.expandedProjects.add(projectId);
     }
+    syncUrl();
+    render();
+}
+
+function handlePublisherToggle(publisherName) {
+    if (state.expandedPublishers.has(publisherName)) {
+        state.expandedPublishers.delete(publisherName);
+    } else {
+        state.expandedPublishers.add(publisherName);
+    }
     render();
 }
 
 function handleIssueClick(issue, owner, repo) {
     openModal(issue, owner, repo);
+    syncUrl({ push: true, modal: 'issue' });
+}
+
+function handleContributorClick(username) {
+    const contributor = findContributor(username);
+    if (!contributor) return;
+    openContributor(contributor);
+    syncUrl({ push: true, modal: 'contributor' });
+}
+
+/**
+ * Find a contributor on the current leaderboard
+ * @param {string} username - GitHub login
+ * @returns {Object|null} Entry from buildContributorLeaderboard
+ */
+function findContributor(username) {
+    return getContributors().find(c => c.username === username) || null;
+}
+
+function openContributor(contributor) {
+    state.openContributor = contributor.username;
+    const profile = buildContributorProfile(contributor, state.projects, state.window);
+    showContributorProfile(contributor, profile, handleIssueClick);
 }
 
 function handleDayClick(date, type) {
+    openDay(date, type);
+    syncUrl({ push: true, modal: 'day' });
+}
+
+function openDay(date, type) {
+    state.openDay = { date, type };
     const items = [];
-    state.projects.forEach(project => {
+    // Days list the same projects and contributor as the chart that was clicked
+    const projects = type === 'points' ? getBurnUpProjects() : getHeatmapProjects();
+    const contributor = type === 'points' ? '' : state.filters.heatmapContributor;
+    projects.forEach(project => {
         // Search issues for assigned/closed
         if (type === 'assigned' || type === 'closed') {
             project.issues.forEach(issue => {
+                if (!matchesContributor(issue, contributor)) return;
                 if (type === 'assigned') {
-                    if (issue.created_at) {
-                        const issueDate = new Date(issue.created_at).toISOString().split('T')[0];
+                    const assignedAt = getAssignedAt(issue, contributor);
+                    if (assignedAt) {
+                        const issueDate = new Date(assignedAt).toISOString().split('T')[0];
                         if (issueDate === date) {
                             items.push({ issue, owner: project.owner, repo: project.repo, projectName: project.name });
                         }
@@ -173,10 +796,22 @@ function handleDayClick(date, type) {
             });
         }
 
+        // Search completed issues with points for the burn-up chart
+        if (type === 'points') {
+            project.issues.forEach(issue => {
+                if (issue.points === 0 || !isCompleted(issue)) return;
+                const issueDate = new Date(issue.closed_at).toISOString().split('T')[0];
+                if (issueDate === date) {
+                    items.push({ issue, owner: project.owner, repo: project.repo, projectName: project.name });
+                }
+            });
+        }
+
         // Search PRs for merged/open
         if (type === 'merged_prs' || type === 'open_prs') {
             if (project.prs) {
                 project.prs.forEach(pr => {
+                    if (!matchesContributor(pr, contributor, true)) return;
                     if (type === 'merged_prs') {
                         if (pr.merged_at) {
                             const prDate = new Date(pr.merged_at).toISOString().split('T')[0];
@@ -197,7 +832,7 @@ function handleDayClick(date, type) {
         }
     });
 
-    showDayActivity(date, type, items, handleIssueClick);
+    showDayActivity(date, type, items, handleIssueClick, { contributor });
 }
 
 function setupEventListeners() {
@@ -205,8 +840,9 @@ function setupEventListeners() {
     const refreshBtn = document.getElementById('btn-refresh');
     if (refreshBtn) {
         refreshBtn.addEventListener('click', async () => {
-            await fetchData();
+            if (!await fetchData()) return;
             render();
+            await loadAssignments();
         });
     }
 
@@ -220,6 +856,15 @@ function setupEventListeners() {
         });
     }
 
+    // Snapshot backup
+    document.getElementById('btn-export-snapshots')?.addEventListener('click', handleSnapshotExport);
+    const snapshotInput = document.getElementById('snapshot-file-input');
+    snapshotInput?.addEventListener('change', () => {
+        const file = snapshotInput.files[0];
+        snapshotInput.value = '';
+        if (file) handleSnapshotImport(file);
+    });
+
     // Settings modal
     setupSettingsModal();
 }
@@ -297,8 +942,9 @@ function setupSettingsModal() {
         closeSettingsModal();
 
         // Refresh data with new token
-        await fetchData();
+        if (!await fetchData()) return;
         render();
+        await loadAssignments();
     });
 
     // Clear token
@@ -310,35 +956,28 @@ function setupSettingsModal() {
 }
 
 function setupTabs() {
-    const tabs = document.querySelectorAll('.tab');
-    const reposContent = document.getElementById('repos-content');
-    const contributorsContent = document.getElementById('contributors-content');
-    const prsContent = document.getElementById('prs-content');
-    const filterBar = document.getElementById('filter-bar');
-    const contributorsFilterBar = document.getElementById('contributors-filter-bar');
-    const prsFilterBar = document.getElementById('prs-filter-bar');
-
-    tabs.forEach(tab => {
+    document.querySelectorAll('.tab').forEach(tab => {
         tab.addEventListener('click', () => {
-            const tabName = tab.dataset.tab;
-            state.activeTab = tabName;
-
-            // Update active tab
-            tabs.forEach(t => t.classList.remove('active'));
-            tab.classList.add('active');
+            activateTab(tab.dataset.tab);
+            syncUrl({ push: true });
+            render();
+        });
+    });
+}
 
-            // Show/hide content
-            reposContent?.classList.toggle('hidden', tabName !== 'repos');
-            contributorsContent?.classList.toggle('hidden', tabName !== 'contributors');
-            prsContent?.classList.toggle('hidden', tabName !== 'prs');
+/**
+ * Switch the visible tab without rendering
+ * @param {string} tabName - Key of TAB_SECTIONS
+ */
+function activateTab(tabName) {
+    state.activeTab = tabName;
 
-            // Show/hide filter bars
-            filterBar?.classList.toggle('hidden', tabName !== 'repos');
-            contributorsFilterBar?.classList.toggle('hidden', tabName !== 'contributors');
-            prsFilterBar?.classList.toggle('hidden', tabName !== 'prs');
+    // Update active tab
+    document.querySelectorAll('.tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tabName));
 
-            render();
-        });
+    // Show/hide content and filter bars
+    Object.entries(TAB_SECTIONS).forEach(([name, ids]) => {
+        ids.forEach(id => document.getElementById(id)?.classList.toggle('hidden', name !== tabName));
     });
 }
 
@@ -0,0 +1,180 @@
+/**
+ * Audit Module
+ * Looks through issue events for patterns that suggest points were gamed
+ */
+
+import { fetchIssueEvents, LOOKUP_CONCURRENCY } from './api.js';
+import { isCompleted } from './completion.js';
+import { isWithinWindow } from './campaigns.js';
+import { evaluatePoints } from './points.js';
+import { runLimited } from './scheduler.js';
+
+// Used when settings.audit.fastCloseMinutes is not configured
+const DEFAULT_FAST_CLOSE_MINUTES = 10;
+
+// Fallback cap on events requests per audit when settings.audit.maxLookups is not configured
+const DEFAULT_MAX_AUDIT_LOOKUPS = 100;
+
+// Events loaded this session, keyed by issue URL, so audits after a refresh only
+// request issues that changed
+const eventsCache = new Map();
+
+function formatMinutes(ms) {
+    return Math.max(1, Math.round(ms / 60000));
+}
+
+/**
+ * Audit rules, each check returns a description of what it found or null
+ * check(issue, events, context) with context { project, pointsRules, settings }
+ */
+export const AUDIT_RULES = [
+    {
+        id: 'points-after-close',
+        title: 'نقاط أضيفت بعد الإغلاق',
+        description: 'أضيف وسم نقاط أو رُفعت قيمته بعد إغلاق المهمة',
+        check(issue, events, { project, pointsRules }) {
+            const closedAt = new Date(issue.closed_at);
+            const changes = events.filter(e => (e.event === 'labeled' || e.event === 'unlabeled')
+                && e.label
+                && new Date(e.created_at) > closedAt);
+            if (changes.length === 0) return null;
+
+            // Undo the later changes to get the labels the issue had when it was closed, then
+            // replay them so bonuses and multipliers are scored together with the base label
+            const labels = new Set((issue.labels || []).map(label => label.name));
+            const apply = (e, undo) => {
+                if ((e.event === 'labeled') !== undo) {
+                    labels.add(e.label.name);
+                } else {
+                    labels.delete(e.label.name);
+                }
+            };
+            changes.slice().reverse().forEach(e => apply(e, true));
+            const score = () => evaluatePoints(Array.from(labels, name => ({ name })), pointsRules, project).points;
+
+            let points = score();
+            for (const e of changes) {
+                apply(e, false);
+                const next = score();
+                if (e.event === 'labeled' && next > points) {
+                    return `وسم "${e.label.name}" أضيف بعد الإغلاق بواسطة ${e.actor?.login || 'مجهول'} ورفع النقاط من ${points} إلى ${next}`;
+                }
+                points = next;
+            }
+            return null;
+        }
+    },
+    {
+        id: 'fast-close',
+        title: 'إسناد وإغلاق سريع',
+        description: 'أسند الشخص نفسه المهمة ثم أغلقها خلال دقائق',
+        check(issue, events, { settings }) {
+            const limitMs = (settings.audit?.fastCloseMinutes ?? DEFAULT_FAST_CLOSE_MINUTES) * 60000;
+            const closed = events.filter(e => e.event === 'closed').pop();
+            if (!closed?.actor) return null;
+
+            const closedAt = new Date(closed.created_at);
+            const assigned = events.find(e => e.event === 'assigned'
+                && e.actor?.login === closed.actor.login
+                && closedAt - new Date(e.created_at) >= 0
+                && closedAt - new Date(e.created_at) <= limitMs);
+            if (!assigned) return null;
+
+            const minutes = formatMinutes(closedAt - new Date(assigned.created_at));
+            return `${closed.actor.login} أسند المهمة إلى ${assigned.assignee?.login || 'مجهول'} وأغلقها بعد ${minutes} دقيقة`;
+        }
+    }
+];
+
+/**
+ * Run every audit rule against one issue
+ * @param {Object} issue - Processed issue
+ * @param {Array} events - Issue events, oldest first
+ * @param {Object} context - { project, pointsRules, settings }
+ * @returns {Array} [{ rule, detail }]
+ */
+export function auditIssue(issue, events, context) {
+    return AUDIT_RULES
+        .map(rule => ({ rule: rule.id, detail: rule.check(issue, events, context) }))
+        .filter(flag => flag.detail);
+}
+
+/**
+ * Events of an issue from this session's cache or GitHub
+ * @returns {Promise<Array|null>} Events, null when they could not be loaded
+ */
+async function loadEvents(owner, repo, issue) {
+    const cached = eventsCache.get(issue.html_url);
+    if (cached && cached.updated_at === issue.updated_at) return cached.events;
+
+    const { items: events, ok } = await fetchIssueEvents(owner, repo, issue.number);
+    if (!ok) return null;
+    eventsCache.set(issue.html_url, { updated_at: issue.updated_at, events });
+    return events;
+}
+
+/**
+ * Audit the point-bearing issues completed inside the campaign window
+ * Costs one events request per issue, so the most recently closed issues are audited first,
+ * a few at a time and at most settings.audit.maxLookups of them that are not cached yet
+ * @param {Array} projects - Projects from fetchAllProjectsData
+ * @param {Object} window - Campaign window { start, end }
+ * @param {Object} options - { pointsRules, settings }
+ * @returns {Promise<Object>} { checked, unknown: [{ issue, owner, repo, projectName, reason }],
+ *   flags: [{ rule, detail, issue, owner, repo, projectName }] } unknown lists the issues whose
+ *   events could not be loaded (reason 'failed') or were over the cap (reason 'skipped'),
+ *   they are neither flagged nor counted as checked
+ */
+export async function runAudit(projects, window, options = {}) {
+    const settings = options.settings || {};
+    const limit = settings.audit?.maxLookups ?? DEFAULT_MAX_AUDIT_LOOKUPS;
+    const targets = projects
+        .flatMap(project => project.issues
+            .filter(issue => issue.points > 0 && isCompleted(issue) && isWithinWindow(issue.closed_at, window))
+            .map(issue => ({ issue, owner: project.owner, repo: project.repo, projectName: project.name, project })))
+        .sort((a, b) => new Date(b.issue.closed_at) - new Date(a.issue.closed_at));
+
+    // Cached issues are free, the cap only counts the ones that need a request
+    let requests = 0;
+    const results = targets.map(target => {
+        const cached = eventsCache.get(target.issue.html_url);
+        const isCached = cached && cached.updated_at === target.issue.updated_at;
+        return { target, skipped: !isCached && ++requests > limit, flags: null };
+    });
+
+    await runLimited(results.filter(result => !result.skipped).map(result => async () => {
+        const { project, ...target } = result.target;
+        const events = await loadEvents(target.owner, target.repo, target.issue);
+        if (!events) return;
+
+        result.flags = auditIssue(target.issue, events, { project, pointsRules: options.pointsRules, settings })
+            .map(flag => ({ ...flag, ...target }));
+    }), LOOKUP_CONCURRENCY);
+
+    const skipped = results.filter(result => result.skipped).length;
+    if (skipped > 0) {
+        console.warn(`Skipped the audit of ${skipped} issues (limit ${limit}, raise settings.audit.maxLookups to check more).`);
+    }
+
+    const unknown = results
+        .filter(result => !result.flags)
+        .map(({ target: { project, ...target }, skipped }) => ({ ...target, reason: skipped ? 'skipped' : 'failed' }));
+    return {
+        checked: targets.length - unknown.length,
+        unknown,
+        flags: results.flatMap(result => result.flags || [])
+    };
+}
+
+/**
+ * Issues whose points should not count given the excluded rules
+ * @param {Object|null} report - From runAudit
+ * @param {Array} excludedRules - Rule ids
+ * @returns {Set} issue html_url values
+ */
+export function getExcludedIssues(report, excludedRules) {
+    if (!report) return new Set();
+    return new Set(report.flags
+        .filter(flag => excludedRules.includes(flag.rule))
+        .map(flag => flag.issue.html_url));
+}
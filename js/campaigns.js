@@ -0,0 +1,71 @@
+/**
+ * Campaigns Module
+ * Resolves the campaign windows configured in projects.json
+ */
+
+/**
+ * Get all configured campaigns, oldest first
+ * Older configs without a campaigns array get a single open-ended campaign
+ * starting at settings.thresholdDate
+ * @param {Object} appConfig - Parsed projects.json
+ * @returns {Array} Campaigns with { id, name, start, end }
+ */
+export function getCampaigns(appConfig) {
+    if (appConfig.campaigns && appConfig.campaigns.length > 0) {
+        return [...appConfig.campaigns].sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    return [{
+        id: 'default',
+        name: '',
+        start: appConfig.settings.thresholdDate,
+        end: null
+    }];
+}
+
+/**
+ * Pick the campaign to display
+ * Prefers the requested id, then settings.defaultCampaign, then the latest campaign
+ * @param {Object} appConfig - Parsed projects.json
+ * @param {string} campaignId - Requested campaign id (e.g. the user's last selection)
+ * @returns {Object} Campaign
+ */
+export function getActiveCampaign(appConfig, campaignId) {
+    const campaigns = getCampaigns(appConfig);
+    return campaigns.find(c => c.id === campaignId)
+        || campaigns.find(c => c.id === appConfig.settings.defaultCampaign)
+        || campaigns[campaigns.length - 1];
+}
+
+/**
+ * Convert a campaign to a concrete date window
+ * Date-only end values include the whole end day
+ * @param {Object} campaign - Campaign with start and end
+ * @returns {Object} { start: Date, end: Date|null }
+ */
+export function getCampaignWindow(campaign) {
+    let end = null;
+    if (campaign.end) {
+        end = /^\d{4}-\d{2}-\d{2}$/.test(campaign.end)
+            ? new Date(`${campaign.end}T23:59:59.999Z`)
+            : new Date(campaign.end);
+    }
+
+    return {
+        start: new Date(campaign.start),
+        end
+    };
+}
+
+/**
+ * Check whether a timestamp falls inside a campaign window
+ * @param {string|Date} date - Timestamp to check
+ * @param {Object} window - { start, end } from getCampaignWindow
+ * @returns {boolean}
+ */
+export function isWithinWindow(date, window) {
+    if (!date) return false;
+    const d = new Date(date);
+    if (d < window.start) return false;
+    return !window.end || d <= window.end;
+}
@@ -0,0 +1,63 @@
+/**
+ * Completion Module
+ * Decides whether a closed issue counts as completed work
+ */
+
+// Used when settings.disqualifyingLabels is not configured
+const DEFAULT_DISQUALIFYING_LABELS = ['duplicate', 'invalid'];
+
+// GitHub close reasons that do not mean the work was done. "reopened" is left out:
+// GitHub only reports it on open issues and replaces it when the issue is closed again
+const NOT_COUNTED_STATE_REASONS = ['not_planned', 'duplicate'];
+
+const REASON_TITLES = {
+    not_planned: 'أغلقت كغير مخطط لها',
+    duplicate: 'أغلقت كمكررة'
+};
+
+/**
+ * Classify an issue
+ * @param {Object} issue - Issue with state, state_reason and labels
+ * @param {Object} settings - Settings with optional disqualifyingLabels
+ * @returns {Object} { status: 'open' | 'completed' | 'not_counted', reason, label }
+ *   reason is a GitHub state_reason or 'label' when a disqualifying label matched
+ */
+export function getCompletion(issue, settings = {}) {
+    if (NOT_COUNTED_STATE_REASONS.includes(issue.state_reason)) {
+        return { status: issue.state === 'closed' ? 'not_counted' : 'open', reason: issue.state_reason, label: null };
+    }
+
+    if (issue.state !== 'closed') {
+        return { status: 'open', reason: null, label: null };
+    }
+
+    const disqualifying = (settings.disqualifyingLabels || DEFAULT_DISQUALIFYING_LABELS).map(l => l.toLowerCase());
+    const label = (issue.labels || []).find(l => disqualifying.includes(l.name.toLowerCase()));
+    if (label) {
+        return { status: 'not_counted', reason: 'label', label: label.name };
+    }
+
+    return { status: 'completed', reason: null, label: null };
+}
+
+/**
+ * Check whether an issue is closed and counts as completed
+ * Issues processed before completion was tracked count when closed
+ * @param {Object} issue - Issue, ideally with completion from getCompletion
+ * @returns {boolean}
+ */
+export function isCompleted(issue) {
+    if (issue.state !== 'closed') return false;
+    return issue.completion?.status !== 'not_counted';
+}
+
+/**
+ * Explain why a closed issue is not counted
+ * @param {Object} completion - From getCompletion
+ * @returns {string}
+ */
+export function describeCompletion(completion) {
+    if (!completion || completion.status !== 'not_counted') return '';
+    if (completion.reason === 'label') return `تحمل وسم "${completion.label}"`;
+    return REASON_TITLES[completion.reason] || '';
+}
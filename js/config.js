@@ -18,11 +18,57 @@ export const config = {
         }
     },
 
+    // Get the campaign the user last selected in the header switcher
+    get CAMPAIGN_ID() {
+        return localStorage.getItem('campaign_id') || '';
+    },
+
+    // Remember the selected campaign
+    set CAMPAIGN_ID(value) {
+        if (value) {
+            localStorage.setItem('campaign_id', value);
+        } else {
+            localStorage.removeItem('campaign_id');
+        }
+    },
+
+    // Get the audit rules whose flagged points are excluded from the leaderboard
+    get AUDIT_EXCLUDED_RULES() {
+        try {
+            return JSON.parse(localStorage.getItem('audit_excluded_rules')) || [];
+        } catch {
+            return [];
+        }
+    },
+
+    // Remember the excluded audit rules
+    set AUDIT_EXCLUDED_RULES(value) {
+        if (value && value.length > 0) {
+            localStorage.setItem('audit_excluded_rules', JSON.stringify(value));
+        } else {
+            localStorage.removeItem('audit_excluded_rules');
+        }
+    },
+
     // Check if token is configured
     hasToken() {
         return !!this.GITHUB_TOKEN;
     },
 
+    // Short FNV-1a hash of the token, or "anon", so cached responses are kept per token
+    // without storing the token itself
+    authFingerprint() {
+        const token = this.GITHUB_TOKEN;
+        if (!token) return 'anon';
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < token.length; i++) {
+            hash ^= token.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
     // Clear the token
     clearToken() {
         localStorage.removeItem('github_token');
@@ -0,0 +1,167 @@
+/**
+ * Database Module
+ * Small promise wrapper around the app's IndexedDB database
+ */
+
+const DB_NAME = 'ramadan-campaign-tracker';
+const DB_VERSION = 3;
+
+export const STORES = {
+    // Cached GitHub API responses keyed by auth fingerprint and request URL,
+    // indexed by fetchedAt for pruning
+    responses: 'responses',
+    // Daily snapshots of the campaign standings keyed by "campaign:YYYY-MM-DD"
+    snapshots: 'snapshots'
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the database
+ * Resolves to null when IndexedDB is unavailable (e.g. private browsing)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.responses)) {
+                db.createObjectStore(STORES.responses, { keyPath: 'url' });
+            }
+            const responses = request.transaction.objectStore(STORES.responses);
+            if (!responses.indexNames.contains('fetchedAt')) {
+                responses.createIndex('fetchedAt', 'fetchedAt');
+            }
+            if (!db.objectStoreNames.contains(STORES.snapshots)) {
+                db.createObjectStore(STORES.snapshots, { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.warn('IndexedDB unavailable, continuing without persistent storage:', request.error);
+            resolve(null);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result, or undefined when storage is unavailable
+ */
+async function withStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    if (!db) return undefined;
+
+    return new Promise((resolve) => {
+        try {
+            const tx = db.transaction(storeName, mode);
+            const request = operation(tx.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn(`IndexedDB ${mode} on ${storeName} failed:`, request.error);
+                resolve(undefined);
+            };
+        } catch (error) {
+            console.warn(`IndexedDB ${mode} on ${storeName} failed:`, error);
+            resolve(undefined);
+        }
+    });
+}
+
+/**
+ * Read a record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<Object|undefined>}
+ */
+export function dbGet(storeName, key) {
+    return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {Object} value - Record, must contain the store's key path
+ * @returns {Promise<*>}
+ */
+export function dbPut(storeName, value) {
+    return withStore(storeName, 'readwrite', store => store.put(value));
+}
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {*} key - Record key
+ * @returns {Promise<*>}
+ */
+export function dbDelete(storeName, key) {
+    return withStore(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete the oldest records of a store by one of its indexes
+ * Walks the index keys only, so the records themselves are never read
+ * @param {string} storeName - Object store name
+ * @param {string} indexName - Index whose keys order the records, newest last
+ * @param {Object} options - { maxEntries } records to keep, { olderThan } index key below which records are dropped
+ * @returns {Promise<number>} Number of deleted records
+ */
+export async function dbPrune(storeName, indexName, { maxEntries = Infinity, olderThan = null } = {}) {
+    const db = await openDatabase();
+    if (!db) return 0;
+
+    return new Promise((resolve) => {
+        let kept = 0;
+        let deleted = 0;
+        try {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            const request = store.index(indexName).openKeyCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                if (kept >= maxEntries || (olderThan !== null && cursor.key < olderThan)) {
+                    store.delete(cursor.primaryKey);
+                    deleted++;
+                } else {
+                    kept++;
+                }
+                cursor.continue();
+            };
+            tx.oncomplete = () => resolve(deleted);
+            tx.onerror = () => {
+                console.warn(`IndexedDB prune of ${storeName} failed:`, tx.error);
+                resolve(0);
+            };
+        } catch (error) {
+            console.warn(`IndexedDB prune of ${storeName} failed:`, error);
+            resolve(0);
+        }
+    });
+}
+
+/**
+ * Read every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>} Records, empty when storage is unavailable
+ */
+export async function dbGetAll(storeName) {
+    return (await withStore(storeName, 'readonly', store => store.getAll())) || [];
+}
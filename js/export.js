@@ -0,0 +1,240 @@
+/**
+ * Export Module
+ * Turns the leaderboards and project stats into CSV, JSON and Markdown downloads
+ */
+
+import { filterPRs } from './filters.js';
+
+// Excel only detects UTF-8 (and so Arabic text) when the file starts with a BOM
+const UTF8_BOM = '\uFEFF';
+
+// How long a download link's blob URL stays valid after the click
+const REVOKE_DELAY_MS = 10000;
+
+const FORMATS = {
+    csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+    json: { extension: 'json', type: 'application/json;charset=utf-8' },
+    md: { extension: 'md', type: 'text/markdown;charset=utf-8' }
+};
+
+/**
+ * A dataset is { columns: [{ key, title, format }], rows }
+ * rows keep their raw values for JSON, format(value) flattens a value for CSV and Markdown
+ */
+
+/**
+ * Contributor leaderboard, in the order it is shown
+ * @param {Array} contributors - From buildContributorLeaderboard
+ * @returns {Object} Dataset
+ */
+export function buildContributorsExport(contributors) {
+    const rows = contributors.map((contributor, index) => {
+        const byProject = new Map();
+        contributor.closedIssuesWithPoints.forEach(issue => {
+            const entry = byProject.get(issue.projectName) || { project: issue.projectName, points: 0, issues: 0 };
+            entry.points = Math.round((entry.points + issue.awardedPoints) * 100) / 100;
+            entry.issues++;
+            byProject.set(issue.projectName, entry);
+        });
+
+        return {
+            rank: index + 1,
+            username: contributor.username,
+            points: contributor.totalPoints,
+            closed: contributor.closedCount,
+            assigned: contributor.assignedCount,
+            projects: Array.from(byProject.values())
+        };
+    });
+
+    return {
+        columns: [
+            { key: 'rank', title: 'الترتيب' },
+            { key: 'username', title: 'المساهم' },
+            { key: 'points', title: 'النقاط' },
+            { key: 'closed', title: 'المغلقة' },
+            { key: 'assigned', title: 'المسندة' },
+            {
+                key: 'projects',
+                title: 'حسب المشروع',
+                format: projects => projects.map(p => `${p.project}: ${p.points}`).join('، ')
+            }
+        ],
+        rows
+    };
+}
+
+/**
+ * Project list with the stats of the currently filtered issues
+ * @param {Array} projects - From applyFilters
+ * @returns {Object} Dataset
+ */
+export function buildProjectsExport(projects) {
+    return {
+        columns: [
+            { key: 'name', title: 'المشروع' },
+            { key: 'repository', title: 'المستودع' },
+            { key: 'category', title: 'الفئة' },
+            { key: 'open', title: 'المفتوحة' },
+            { key: 'closed', title: 'المغلقة' },
+            { key: 'total', title: 'الإجمالي' },
+            { key: 'points', title: 'النقاط' },
+            { key: 'comments', title: 'التعليقات' }
+        ],
+        rows: projects.map(project => {
+            const stats = project.filteredStats || project.stats;
+            return {
+                name: project.name,
+                repository: `${project.owner}/${project.repo}`,
+                category: project.category || '',
+                open: stats.open,
+                closed: stats.closed,
+                total: stats.total,
+                points: stats.points,
+                comments: stats.comments
+            };
+        })
+    };
+}
+
+/**
+ * Pull requests matching the PR filters, newest first within each project
+ * @param {Array} projects - Projects with prs
+ * @param {Object} filters - Current filters
+ * @returns {Object} Dataset
+ */
+export function buildPRsExport(projects, filters) {
+    const rows = projects.flatMap(project => filterPRs(project.prs || [], filters)
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(pr => ({
+            project: project.name,
+            number: pr.number,
+            title: pr.title,
+            author: pr.user?.login || '',
+            state: pr.merged_at ? 'merged' : pr.state,
+            created_at: pr.created_at,
+            merged_at: pr.merged_at || '',
+            url: pr.html_url
+        })));
+
+    return {
+        columns: [
+            { key: 'project', title: 'المشروع' },
+            { key: 'number', title: 'الرقم' },
+            { key: 'title', title: 'العنوان' },
+            { key: 'author', title: 'الكاتب' },
+            { key: 'state', title: 'الحالة' },
+            { key: 'created_at', title: 'تاريخ الإنشاء' },
+            { key: 'merged_at', title: 'تاريخ الدمج' },
+            { key: 'url', title: 'الرابط' }
+        ],
+        rows
+    };
+}
+
+function formatCell(column, row) {
+    const value = row[column.key];
+    if (column.format) return String(column.format(value));
+    return value === null || value === undefined ? '' : String(value);
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCSV(text) {
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * @param {Object} dataset - Dataset
+ * @returns {string} CSV with a UTF-8 BOM
+ */
+export function toCSV(dataset) {
+    const lines = [
+        dataset.columns.map(c => escapeCSV(c.title)),
+        ...dataset.rows.map(row => dataset.columns.map(c => escapeCSV(formatCell(c, row))))
+    ];
+    return UTF8_BOM + lines.map(cells => cells.join(',')).join('\r\n');
+}
+
+/**
+ * @param {Object} dataset - Dataset
+ * @returns {string} Pretty-printed JSON array of the raw rows
+ */
+export function toJSON(dataset) {
+    return JSON.stringify(dataset.rows, null, 2);
+}
+
+/**
+ * @param {Object} dataset - Dataset
+ * @returns {string} GitHub flavored Markdown table
+ */
+export function toMarkdown(dataset) {
+    const row = cells => `| ${cells.join(' | ')} |`;
+    return [
+        row(dataset.columns.map(c => escapeMarkdown(c.title))),
+        row(dataset.columns.map(() => '---')),
+        ...dataset.rows.map(r => row(dataset.columns.map(c => escapeMarkdown(formatCell(c, r)))))
+    ].join('\n');
+}
+
+const SERIALIZERS = { csv: toCSV, json: toJSON, md: toMarkdown };
+
+/**
+ * Download a dataset as a file
+ * @param {Object} dataset - Dataset
+ * @param {string} format - 'csv', 'json' or 'md'
+ * @param {string} name - File name without extension
+ */
+export function downloadExport(dataset, format, name) {
+    const serialize = SERIALIZERS[format];
+    if (!serialize) {
+        console.warn(`Unknown export format: ${format}`);
+        return;
+    }
+
+    downloadFile(serialize(dataset), FORMATS[format].type, `${name}.${FORMATS[format].extension}`);
+}
+
+/**
+ * Save text as a file through a temporary download link
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - File name with extension
+ */
+export function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Firefox and Safari may start the download well after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+}
+
+/**
+ * Wire up the export menu
+ * Menu items carry data-export (contributors, projects or prs) and data-format
+ * @param {Object} options - { getExport } callback(kind) returns { dataset, name } or null
+ */
+export function initExport(options) {
+    const menu = document.getElementById('export-menu');
+    if (!menu) return;
+
+    menu.querySelectorAll('[data-export]').forEach(item => {
+        item.addEventListener('click', () => {
+            menu.removeAttribute('open');
+            const result = options.getExport(item.dataset.export);
+            if (!result) return;
+            downloadExport(result.dataset, item.dataset.format, result.name);
+        });
+    });
+}
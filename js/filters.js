@@ -3,6 +3,9 @@
  * Handles filtering, sorting, and contributor leaderboard logic
  */
 
+import { isWithinWindow } from './campaigns.js';
+import { isCompleted } from './completion.js';
+
 export const defaultFilters = {
     status: 'open',
     assignment: 'all',
@@ -11,9 +14,42 @@ export const defaultFilters = {
     sortBy: 'order',
     sortOrder: 'asc',
     contribSort: 'points',
-    prStatus: 'all'
+    prStatus: 'all',
+    category: 'all',
+    groupBy: 'none',
+    publisherSort: 'pointsCollected',
+    publisherSortOrder: 'desc',
+    labels: [],
+    author: '',
+    dateField: 'created',
+    dateFrom: '',
+    dateTo: '',
+    pointsMin: '',
+    pointsMax: '',
+    prLabels: [],
+    prAuthor: '',
+    burnUpCategory: 'all',
+    burnUpProject: 'all',
+    heatmapCategory: 'all',
+    heatmapProject: 'all',
+    heatmapContributor: '',
+    heatmapWeight: 'count'
 };
 
+function toDateKey(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Check the label and author facets shared by issues and PRs
+ * An item matches the labels facet when it carries any of the selected labels
+ */
+function matchesFacets(item, labels, author) {
+    if (labels?.length > 0 && !(item.labels || []).some(l => labels.includes(l.name))) return false;
+    if (author && item.user?.login !== author) return false;
+    return true;
+}
+
 export function filterIssues(issues, filters) {
     return issues.filter(issue => {
         if (filters.status !== 'all') {
@@ -29,12 +65,59 @@ export function filterIssues(issues, filters) {
             if (filters.comments === 'no-comments' && issue.comments > 0) return false;
         }
         if (filters.points === 'has-points' && issue.points === 0) return false;
+        if (!matchesFacets(issue, filters.labels, filters.author)) return false;
+        if (filters.dateFrom || filters.dateTo) {
+            // Dates are compared as UTC days, the same days the heatmaps use
+            const timestamp = filters.dateField === 'closed' ? issue.closed_at : issue.created_at;
+            if (!timestamp) return false;
+            const date = toDateKey(timestamp);
+            if (filters.dateFrom && date < filters.dateFrom) return false;
+            if (filters.dateTo && date > filters.dateTo) return false;
+        }
+        // Range bounds are strings so they round-trip through the URL, '' means no bound
+        if (filters.pointsMin && issue.points < Number(filters.pointsMin)) return false;
+        if (filters.pointsMax && issue.points > Number(filters.pointsMax)) return false;
         return true;
     });
 }
 
+/**
+ * Filter a project's pull requests by status, labels and author
+ * @param {Array} prs - Pull requests
+ * @param {Object} filters - Uses prStatus, prLabels and prAuthor
+ * @returns {Array} Matching pull requests
+ */
+export function filterPRs(prs, filters) {
+    const prStatus = filters.prStatus || 'all';
+    return prs.filter(pr => {
+        if (prStatus === 'open' && pr.state !== 'open') return false;
+        if (prStatus === 'closed' && pr.state !== 'closed') return false;
+        return matchesFacets(pr, filters.prLabels, filters.prAuthor);
+    });
+}
+
+/**
+ * Collect the label names and authors present on a list of issues or PRs
+ * Used to build the filter options from the data actually loaded
+ * @param {Array} items - Issues or pull requests
+ * @returns {Object} { labels, authors } both sorted by name
+ */
+export function collectFacetOptions(items) {
+    const labels = new Set();
+    const authors = new Set();
+    items.forEach(item => {
+        (item.labels || []).forEach(l => labels.add(l.name));
+        if (item.user?.login) authors.add(item.user.login);
+    });
+    const byName = (a, b) => a.localeCompare(b, 'ar');
+    return {
+        labels: Array.from(labels).sort(byName),
+        authors: Array.from(authors).sort(byName)
+    };
+}
+
 export function applyFilters(projects, filters) {
-    return projects.map(project => {
+    return filterByCategory(projects, filters.category).map(project => {
         const filteredIssues = filterIssues(project.issues, filters);
         const filteredStats = {
             open: filteredIssues.filter(i => i.state === 'open').length,
@@ -48,6 +131,47 @@ export function applyFilters(projects, filters) {
     });
 }
 
+/**
+ * Keep only projects in a category
+ * @param {Array} projects - Array of projects
+ * @param {string} category - Category id from projects.json, or 'all'
+ * @returns {Array} Matching projects
+ */
+export function filterByCategory(projects, category) {
+    if (!category || category === 'all') return projects;
+    return projects.filter(p => p.category === category);
+}
+
+/**
+ * Group projects by category with per-category subtotals
+ * Groups follow the order of the categories map in projects.json,
+ * projects without a known category are collected at the end
+ * @param {Array} projects - Projects (optionally with filteredStats)
+ * @param {Object} categories - Categories map from projects.json
+ * @returns {Array} [{ id, name, color, projects, totals: { open, closed, points } }]
+ */
+export function groupProjectsByCategory(projects, categories = {}) {
+    const ids = [...Object.keys(categories), 'other'];
+    const groups = new Map(ids.map(id => [id, {
+        id,
+        name: categories[id]?.name || 'أخرى',
+        color: categories[id]?.color || null,
+        projects: [],
+        totals: { open: 0, closed: 0, points: 0 }
+    }]));
+
+    projects.forEach(project => {
+        const group = groups.get(categories[project.category] ? project.category : 'other');
+        const stats = project.filteredStats || project.stats;
+        group.projects.push(project);
+        group.totals.open += stats.open;
+        group.totals.closed += stats.closed;
+        group.totals.points += stats.points;
+    });
+
+    return Array.from(groups.values()).filter(g => g.projects.length > 0);
+}
+
 export function sortProjects(projects, sortBy, sortOrder) {
     return [...projects].sort((a, b) => {
         let aVal, bVal;
@@ -80,7 +204,16 @@ export function sortProjects(projects, sortBy, sortOrder) {
     });
 }
 
-export function calculateGlobalStats(projects, thresholdDate) {
+/**
+ * Calculate header statistics for a campaign
+ * @param {Array} projects - Array of projects
+ * @param {Object} window - Campaign window { start, end }; closes and merges outside it are ignored
+ * @param {Object} options - { category } to only count projects in one category
+ * @returns {Object} Global stats
+ */
+export function calculateGlobalStats(projects, window, options = {}) {
+    projects = filterByCategory(projects, options.category);
+
     const allIssues = projects.flatMap(p => p.issues);
     const allPRs = projects.flatMap(p => p.prs || []);
 
@@ -89,17 +222,20 @@ export function calculateGlobalStats(projects, thresholdDate) {
     const issuesWithAssignees = allIssues.filter(i => i.assignee);
     const closedSinceThreshold = allIssues.filter(i => {
         if (i.state !== 'closed' || !i.closed_at) return false;
-        return new Date(i.closed_at) >= new Date(thresholdDate);
+        return isWithinWindow(i.closed_at, window);
     });
 
     const openPRs = allPRs.filter(p => p.state === 'open');
-    const mergedPRs = allPRs.filter(p => {
-        if (!p.merged_at) return false;
-        return new Date(p.merged_at) >= new Date(thresholdDate);
-    });
+    const mergedPRs = allPRs.filter(p => isWithinWindow(p.merged_at, window));
 
     const totalPoints = allIssues.reduce((sum, i) => sum + i.points, 0);
-    const collectedPoints = closedSinceThreshold.reduce((sum, i) => sum + i.points, 0);
+    // Issues closed as not planned, duplicates and the like stay out of the collected points
+    const collectedPoints = closedSinceThreshold.filter(isCompleted).reduce((sum, i) => sum + i.points, 0);
+
+    const closeTimes = closedSinceThreshold
+        .filter(isCompleted)
+        .map(getTimeToClose)
+        .filter(ms => ms !== null);
 
     return {
         open: openIssues.length,
@@ -109,68 +245,148 @@ export function calculateGlobalStats(projects, thresholdDate) {
         openPRs: openPRs.length,
         mergedPRs: mergedPRs.length,
         totalPoints,
-        collectedPoints
+        collectedPoints,
+        medianTimeToClose: median(closeTimes)
     };
 }
 
+/**
+ * Time between an issue's first assignment and its close
+ * @param {Object} issue - Issue with assigned_at
+ * @returns {number|null} Milliseconds, null when it was not closed after being assigned
+ */
+export function getTimeToClose(issue) {
+    if (issue.state !== 'closed' || !issue.assigned_at || !issue.closed_at) return null;
+    const ms = new Date(issue.closed_at) - new Date(issue.assigned_at);
+    return ms >= 0 ? ms : null;
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 export function getVisibleProjects(projects) {
     return projects.filter(p => (p.filteredStats?.total ?? p.stats.total) > 0);
 }
 
+/**
+ * Everyone assigned to an issue, primary assignee first
+ * @param {Object} issue - Issue object
+ * @returns {Array} GitHub users
+ */
+export function getAssignees(issue) {
+    if (issue.assignees && issue.assignees.length > 0) return issue.assignees;
+    return issue.assignee ? [issue.assignee] : [];
+}
+
+/**
+ * Points credited to one assignee of a closed issue
+ * @param {number} points - Issue points
+ * @param {number} index - Position in the assignees list, 0 is the primary assignee
+ * @param {number} count - Number of assignees
+ * @param {string} policy - 'equal' splits the points, 'full' gives everyone all of them,
+ *                          'primary' gives them to the first assignee only
+ * @returns {number}
+ */
+function getPointShare(points, index, count, policy) {
+    switch (policy) {
+        case 'full':
+            return points;
+        case 'primary':
+            return index === 0 ? points : 0;
+        default:
+            return Math.round((points / count) * 100) / 100;
+    }
+}
+
+/**
+ * Users credited with a closed issue
+ * With settings.attribution 'pr-author' the author of the merged PR that closed
+ * the issue gets the credit, issues without a closing PR fall back to their assignees
+ * @param {Object} issue - Issue with closingPR from linkPullRequests
+ * @param {Object} settings - Settings from projects.json
+ * @returns {Array} GitHub users, primary first
+ */
+export function getCreditedUsers(issue, settings = {}) {
+    if (settings.attribution === 'pr-author' && issue.closingPR?.user) {
+        return [issue.closingPR.user];
+    }
+    return getAssignees(issue);
+}
+
 /**
  * Build contributor leaderboard from all issues
- * Contributors are ranked by points from closed issues since threshold date
+ * Contributors are ranked by points from issues completed inside the campaign window,
+ * credited users (see getCreditedUsers) share the points according to settings.pointSplit
+ * @param {Array} projects - Array of projects
+ * @param {Object} window - Campaign window { start, end }
+ * @param {string} sortBy - 'points', 'closed' or 'assigned'
+ * @param {Object} settings - Settings from projects.json
+ * @param {Set} excludedIssues - html_url of issues whose points should not count (see getExcludedIssues)
+ * @returns {Array} Contributors, each closedIssuesWithPoints entry carries its awardedPoints
  */
-export function buildContributorLeaderboard(projects, thresholdDate, sortBy = 'points') {
+export function buildContributorLeaderboard(projects, window, sortBy = 'points', settings = {}, excludedIssues = new Set()) {
     const contributors = new Map();
+    const policy = settings.pointSplit || 'equal';
+
+    const getContributor = (user) => {
+        if (!contributors.has(user.login)) {
+            contributors.set(user.login, {
+                username: user.login,
+                avatar_url: user.avatar_url,
+                html_url: user.html_url,
+                assignedIssues: [],
+                closedIssues: [],
+                closedIssuesWithPoints: [],
+                totalPoints: 0,
+                closedCount: 0,
+                assignedCount: 0
+            });
+        }
+        return contributors.get(user.login);
+    };
 
     projects.forEach(project => {
         project.issues.forEach(issue => {
-            // Track assignees for assigned issues
-            if (issue.assignee) {
-                const username = issue.assignee.login;
-                if (!contributors.has(username)) {
-                    contributors.set(username, {
-                        username,
-                        avatar_url: issue.assignee.avatar_url,
-                        html_url: issue.assignee.html_url,
-                        assignedIssues: [],
-                        closedIssuesWithPoints: [],
-                        totalPoints: 0,
-                        closedCount: 0,
-                        assignedCount: 0
-                    });
-                }
+            const issueInfo = {
+                ...issue,
+                projectName: project.name,
+                owner: project.owner,
+                repo: project.repo
+            };
 
-                const contributor = contributors.get(username);
-                contributor.assignedIssues.push({
-                    ...issue,
-                    projectName: project.name,
-                    owner: project.owner,
-                    repo: project.repo
-                });
+            // Track assignees for assigned issues
+            getAssignees(issue).forEach(assignee => {
+                const contributor = getContributor(assignee);
+                contributor.assignedIssues.push(issueInfo);
                 contributor.assignedCount++;
+            });
 
-                // If this issue is closed after threshold and has points, count it
-                if (issue.state === 'closed' && issue.closed_at) {
-                    const closedDate = new Date(issue.closed_at);
-                    if (closedDate >= new Date(thresholdDate)) {
-                        if (issue.points > 0) {
-                            contributor.closedIssuesWithPoints.push({
-                                ...issue,
-                                projectName: project.name,
-                                owner: project.owner,
-                                repo: project.repo
-                            });
-                            contributor.totalPoints += issue.points;
-                        }
-                        contributor.closedCount++;
-                    }
+            // If this issue was completed during the campaign, credit it
+            if (!isCompleted(issue) || !isWithinWindow(issue.closed_at, window)) return;
+
+            const credited = getCreditedUsers(issue, settings);
+            credited.forEach((user, index) => {
+                const contributor = getContributor(user);
+                if (issue.points > 0 && !excludedIssues.has(issue.html_url)) {
+                    const awardedPoints = getPointShare(issue.points, index, credited.length, policy);
+                    contributor.closedIssuesWithPoints.push({ ...issueInfo, awardedPoints });
+                    contributor.totalPoints += awardedPoints;
                 }
-            }
+                contributor.closedIssues.push(issueInfo);
+                contributor.closedCount++;
+            });
         });
     });
 
+    // Shares are rounded per issue, keep the sums from drifting
+    contributors.forEach(contributor => {
+        contributor.totalPoints = Math.round(contributor.totalPoints * 100) / 100;
+    });
+
     // Convert to array and sort
     let leaderboard = Array.from(contributors.values());
 
@@ -189,19 +405,216 @@ export function buildContributorLeaderboard(projects, thresholdDate, sortBy = 'p
     return leaderboard;
 }
 
+/**
+ * Build the profile of one contributor from their leaderboard entry
+ * @param {Object} contributor - Entry from buildContributorLeaderboard
+ * @param {Array} projects - Array of projects, used for the contributor's PRs
+ * @param {Object} window - Campaign window { start, end }; an open end runs until today
+ * @returns {Object} { byProject: [{ name, owner, repo, points, closed, assigned }],
+ *   issues, prs, merged, activity: { 'YYYY-MM-DD': count } }
+ */
+export function buildContributorProfile(contributor, projects, window) {
+    const login = contributor.username;
+    const byProject = new Map();
+    const getProject = (issue) => {
+        const key = `${issue.owner}/${issue.repo}`;
+        if (!byProject.has(key)) {
+            byProject.set(key, { name: issue.projectName, owner: issue.owner, repo: issue.repo, points: 0, closed: 0, assigned: 0 });
+        }
+        return byProject.get(key);
+    };
+
+    contributor.assignedIssues.forEach(issue => getProject(issue).assigned++);
+    contributor.closedIssues.forEach(issue => getProject(issue).closed++);
+    contributor.closedIssuesWithPoints.forEach(issue => {
+        const entry = getProject(issue);
+        entry.points = Math.round((entry.points + issue.awardedPoints) * 100) / 100;
+    });
+
+    // Assigned and credited issues, once each, newest first
+    const issues = new Map();
+    [...contributor.assignedIssues, ...contributor.closedIssues].forEach(issue => issues.set(issue.html_url, issue));
+
+    const prs = projects.flatMap(project => (project.prs || [])
+        .filter(pr => pr.user?.login === login)
+        .map(pr => ({ ...pr, projectName: project.name, owner: project.owner, repo: project.repo })))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    // Activity counts assignments, credited closes, opened PRs and merged PRs per day
+    const activity = {};
+    const curr = new Date(window.start);
+    const end = new Date(window.end || new Date());
+    while (curr <= end) {
+        activity[toDateKey(curr)] = 0;
+        curr.setDate(curr.getDate() + 1);
+    }
+    const count = (timestamp) => {
+        if (!timestamp) return;
+        const date = toDateKey(timestamp);
+        if (activity[date] !== undefined) activity[date]++;
+    };
+
+    contributor.assignedIssues.forEach(issue => {
+        count(getAssignedAt(issue, login));
+    });
+    contributor.closedIssues.forEach(issue => count(issue.closed_at));
+    prs.forEach(pr => {
+        count(pr.created_at);
+        count(pr.merged_at);
+    });
+
+    return {
+        byProject: Array.from(byProject.values()).sort((a, b) => b.points - a.points || b.closed - a.closed),
+        issues: Array.from(issues.values()).sort((a, b) => new Date(b.created_at) - new Date(a.created_at)),
+        prs,
+        merged: prs.filter(pr => pr.merged_at).length,
+        activity
+    };
+}
+
+/**
+ * Build publisher leaderboard by grouping projects on their `publisher`
+ * Responsiveness is the share of commented issues the repository owner replied on,
+ * it needs issue.comment_details (see fetchCommentDetails) and skips issues without it
+ * @param {Array} projects - Array of projects
+ * @param {Object} window - Campaign window { start, end }
+ * @returns {Array} Publishers with aggregated stats
+ */
+export function buildPublisherLeaderboard(projects, window) {
+    const publishers = new Map();
+
+    projects.forEach(project => {
+        const name = project.publisher || project.owner;
+        if (!publishers.has(name)) {
+            publishers.set(name, {
+                name,
+                projects: [],
+                issues: 0,
+                open: 0,
+                closed: 0,
+                pointsOffered: 0,
+                pointsCollected: 0,
+                mergedPRs: 0,
+                responsiveness: {
+                    commented: 0,
+                    replied: 0,
+                    pending: 0,
+                    rate: null
+                }
+            });
+        }
+
+        const publisher = publishers.get(name);
+        const closedInWindow = project.issues.filter(i => isCompleted(i) && isWithinWindow(i.closed_at, window));
+        const mergedPRs = (project.prs || []).filter(p => isWithinWindow(p.merged_at, window)).length;
+        const pointsCollected = closedInWindow.reduce((sum, i) => sum + i.points, 0);
+
+        publisher.projects.push({ ...project, mergedPRs, pointsCollected });
+        publisher.issues += project.issues.length;
+        publisher.open += project.issues.filter(i => i.state === 'open').length;
+        publisher.closed += closedInWindow.length;
+        publisher.pointsOffered += project.issues.reduce((sum, i) => sum + i.points, 0);
+        publisher.pointsCollected += pointsCollected;
+        publisher.mergedPRs += mergedPRs;
+
+        project.issues.filter(i => i.comments > 0).forEach(issue => {
+            if (!issue.comment_details) {
+                publisher.responsiveness.pending++;
+                return;
+            }
+            publisher.responsiveness.commented++;
+            if (issue.comment_details.owner_replied) publisher.responsiveness.replied++;
+        });
+    });
+
+    return Array.from(publishers.values()).map(publisher => {
+        const { commented, replied } = publisher.responsiveness;
+        publisher.responsiveness.rate = commented > 0 ? replied / commented : null;
+        return publisher;
+    });
+}
+
+/**
+ * Sort publishers, mirrors sortProjects
+ * @param {Array} publishers - From buildPublisherLeaderboard
+ * @param {string} sortBy - pointsCollected, pointsOffered, issues, closed, mergedPRs, responsiveness or name
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array} Sorted copy
+ */
+export function sortPublishers(publishers, sortBy, sortOrder) {
+    return [...publishers].sort((a, b) => {
+        let aVal, bVal;
+        switch (sortBy) {
+            case 'pointsOffered':
+            case 'issues':
+            case 'closed':
+            case 'mergedPRs':
+                aVal = a[sortBy];
+                bVal = b[sortBy];
+                break;
+            case 'responsiveness':
+                // Publishers without analysed comments rank below any rate
+                aVal = a.responsiveness.rate ?? -1;
+                bVal = b.responsiveness.rate ?? -1;
+                break;
+            case 'name':
+                return sortOrder === 'asc'
+                    ? a.name.localeCompare(b.name, 'ar')
+                    : b.name.localeCompare(a.name, 'ar');
+            default:
+                aVal = a.pointsCollected;
+                bVal = b.pointsCollected;
+        }
+        return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
+    });
+}
+
+/**
+ * Check whether an issue or PR involves a contributor
+ * Issues involve their assignees, PRs their author
+ * @param {Object} item - Issue or PR
+ * @param {string} login - GitHub login, empty matches everything
+ * @param {boolean} isPR - Whether item is a pull request
+ * @returns {boolean}
+ */
+export function matchesContributor(item, login, isPR = false) {
+    if (!login) return true;
+    return isPR ? item.user?.login === login : getAssignees(item).some(a => a.login === login);
+}
+
+/**
+ * When an issue was assigned, to a given contributor when one is passed
+ * @param {Object} issue - Issue with assigned_at and optional assignments
+ * @param {string} login - GitHub login, optional
+ * @returns {string|null} ISO timestamp
+ */
+export function getAssignedAt(issue, login = '') {
+    if (!login) return issue.assigned_at || null;
+    return issue.assignments?.find(a => a.login === login)?.assigned_at || issue.assigned_at || null;
+}
+
 /**
  * Calculate daily counts for assigned and closed issues within a date range
  * @param {Array} projects - Array of projects
- * @param {string} startDateStr - Start date string
- * @param {string} endDateStr - End date string
- * @returns {Object} { assigned: { 'YYYY-MM-DD': count }, closed: { 'YYYY-MM-DD': count } }
+ * @param {string|Date} startDateStr - Start of the range
+ * @param {string|Date} endDateStr - End of the range
+ * @param {Object} options - { contributor } only counts items involving that login,
+ *                           { weight: 'points' } sums issue points instead of counting issues,
+ *                           closed issues then only add points when they count as completed;
+ *                           PRs carry no points and are always counted
+ * @returns {Object} { assigned, closed, merged_prs, open_prs } each { 'YYYY-MM-DD': value },
+ *   plus assignedUnknown, the number of assigned issues whose assignment time is unknown
  */
-export function calculateDailyCounts(projects, startDateStr, endDateStr) {
+export function calculateDailyCounts(projects, startDateStr, endDateStr, options = {}) {
+    const contributor = options.contributor || '';
+    const byPoints = options.weight === 'points';
     const data = {
         assigned: {},
         closed: {},
         merged_prs: {},
-        open_prs: {}
+        open_prs: {},
+        // Assigned issues left out of data.assigned because their assignment time is unknown
+        assignedUnknown: 0
     };
 
     const start = new Date(startDateStr);
@@ -210,7 +623,7 @@ export function calculateDailyCounts(projects, startDateStr, endDateStr) {
     // Initialize all days in range with 0
     let curr = new Date(start);
     while (curr <= end) {
-        const dateStr = curr.toISOString().split('T')[0];
+        const dateStr = toDateKey(curr);
         data.assigned[dateStr] = 0;
         data.closed[dateStr] = 0;
         data.merged_prs[dateStr] = 0;
@@ -218,44 +631,150 @@ export function calculateDailyCounts(projects, startDateStr, endDateStr) {
         curr.setDate(curr.getDate() + 1);
     }
 
+    const add = (counts, timestamp, value) => {
+        const dateStr = toDateKey(timestamp);
+        if (counts[dateStr] !== undefined) counts[dateStr] += value;
+    };
+
     projects.forEach(project => {
         // Process Issues
         project.issues.forEach(issue => {
-            // Assigned
-            if (issue.created_at) {
-                const dateStr = new Date(issue.created_at).toISOString().split('T')[0];
-                if (data.assigned[dateStr] !== undefined) {
-                    data.assigned[dateStr]++;
-                }
+            if (!matchesContributor(issue, contributor)) return;
+
+            // Assigned, on the day the issue was first assigned to a current assignee
+            const assignedAt = getAssignedAt(issue, contributor);
+            if (assignedAt) {
+                add(data.assigned, assignedAt, byPoints ? issue.points : 1);
+            } else if (issue.assignmentStatus === 'unknown') {
+                data.assignedUnknown++;
             }
 
             // Closed
             if (issue.state === 'closed' && issue.closed_at) {
-                const dateStr = new Date(issue.closed_at).toISOString().split('T')[0];
-                if (data.closed[dateStr] !== undefined) {
-                    data.closed[dateStr]++;
-                }
+                add(data.closed, issue.closed_at, byPoints ? (isCompleted(issue) ? issue.points : 0) : 1);
             }
         });
 
         // Process PRs
-        if (project.prs) {
-            project.prs.forEach(pr => {
-                const dateCreated = new Date(pr.created_at).toISOString().split('T')[0];
-
-                if (pr.merged_at) {
-                    const dateMerged = new Date(pr.merged_at).toISOString().split('T')[0];
-                    if (data.merged_prs[dateMerged] !== undefined) {
-                        data.merged_prs[dateMerged]++;
-                    }
-                } else if (pr.state === 'open') {
-                    if (data.open_prs[dateCreated] !== undefined) {
-                        data.open_prs[dateCreated]++;
-                    }
-                }
-            });
-        }
+        (project.prs || []).forEach(pr => {
+            if (!matchesContributor(pr, contributor, true)) return;
+
+            if (pr.merged_at) {
+                add(data.merged_prs, pr.merged_at, 1);
+            } else if (pr.state === 'open') {
+                add(data.open_prs, pr.created_at, 1);
+            }
+        });
     });
 
     return data;
 }
+
+/**
+ * Quantile based intensity levels for a heatmap
+ * A value's level is the quarter of the non-zero values it falls in, so the scale
+ * adapts to both busy and quiet data
+ * @param {Array} values - Cell values
+ * @returns {Object} { levelOf(value) returns 0-4, ranges: [{ level, min, max }] }
+ */
+export function getQuantileLevels(values) {
+    const sorted = values.filter(v => v > 0).sort((a, b) => a - b);
+    const levelOf = (value) => {
+        if (!(value > 0) || sorted.length === 0) return 0;
+        const below = sorted.filter(v => v < value).length;
+        return Math.min(4, Math.max(1, Math.ceil(((below + 1) / sorted.length) * 4)));
+    };
+
+    const ranges = [];
+    sorted.forEach(value => {
+        const level = levelOf(value);
+        const range = ranges.find(r => r.level === level);
+        if (range) {
+            range.max = value;
+        } else {
+            ranges.push({ level, min: value, max: value });
+        }
+    });
+
+    return { levelOf, ranges };
+}
+
+/**
+ * Cumulative points offered and collected per day of a campaign, with a projection
+ * Points count as offered from the day their label appeared (the first day of the
+ * campaign for older issues) and as collected on the day a completed issue closed
+ * @param {Array} projects - Array of projects
+ * @param {Object} window - Campaign window { start, end }; an open end runs until today
+ * @param {Date} now - Current time, days after it have no actual values
+ * @returns {Object} { days: [{ date, offered, collected, projected }], offered, collected,
+ *   rate, finishDate, end } rate is points per day so far, finishDate is when collecting at
+ *   that rate would catch up with the points offered today or null, end is the last
+ *   campaign day or null for open-ended campaigns
+ */
+export function calculateBurnUp(projects, window, now = new Date()) {
+    const startKey = toDateKey(window.start);
+    const todayKey = toDateKey(now);
+    const dates = [];
+    const curr = new Date(window.start);
+    const end = new Date(window.end || now);
+    while (curr <= end) {
+        dates.push(toDateKey(curr));
+        curr.setDate(curr.getDate() + 1);
+    }
+
+    const offeredByDay = {};
+    const collectedByDay = {};
+    const add = (map, date, points) => {
+        map[date] = (map[date] || 0) + points;
+    };
+
+    projects.forEach(project => {
+        project.issues.forEach(issue => {
+            // Issues closed without counting no longer offer their points
+            if (issue.points === 0 || (issue.state === 'closed' && !isCompleted(issue))) return;
+            const offeredAt = toDateKey(issue.points_at || issue.created_at);
+            add(offeredByDay, offeredAt < startKey ? startKey : offeredAt, issue.points);
+            if (isCompleted(issue) && isWithinWindow(issue.closed_at, window)) {
+                add(collectedByDay, toDateKey(issue.closed_at), issue.points);
+            }
+        });
+    });
+
+    let offered = 0;
+    let collected = 0;
+    const days = dates.map(date => {
+        if (date > todayKey) return { date, offered: null, collected: null, projected: null };
+        offered += offeredByDay[date] || 0;
+        collected += collectedByDay[date] || 0;
+        return { date, offered, collected, projected: null };
+    });
+
+    const elapsedDays = days.filter(d => d.collected !== null).length;
+    const rate = elapsedDays > 0 ? collected / elapsedDays : 0;
+
+    // The projection continues from today at the average rate so far
+    const todayIndex = elapsedDays - 1;
+    days.forEach((day, index) => {
+        if (index >= todayIndex && todayIndex >= 0) {
+            day.projected = Math.round((collected + rate * (index - todayIndex)) * 100) / 100;
+        }
+    });
+
+    let finishDate = null;
+    if (rate > 0 && collected < offered) {
+        const finish = new Date(`${todayKey}T00:00:00Z`);
+        finish.setUTCDate(finish.getUTCDate() + Math.ceil((offered - collected) / rate));
+        finishDate = toDateKey(finish);
+    } else if (offered > 0 && collected >= offered) {
+        finishDate = days[todayIndex]?.date || null;
+    }
+
+    return {
+        days,
+        offered,
+        collected,
+        rate: Math.round(rate * 100) / 100,
+        finishDate,
+        end: window.end ? toDateKey(window.end) : null
+    };
+}
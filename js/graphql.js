@@ -0,0 +1,318 @@
+/**
+ * GraphQL Data Source Module
+ * Fetches issues and PRs for many repositories in batched GraphQL queries
+ * and normalizes them to the REST shapes the rest of the app expects
+ */
+
+import { config } from './config.js';
+import { STORES, dbGet, dbPut } from './db.js';
+import { scheduleFetch, isQuotaExhausted } from './scheduler.js';
+
+const GRAPHQL_URL = 'https://api.github.com/graphql';
+const PAGE_SIZE = 100;
+const DEFAULT_BATCH_SIZE = 6;
+
+// GitHub returns a null author for deleted accounts, REST reports them as "ghost"
+const GHOST_USER = {
+    login: 'ghost',
+    avatar_url: 'https://avatars.githubusercontent.com/u/10137?v=4',
+    html_url: 'https://github.com/ghost'
+};
+
+const FRAGMENTS = `
+fragment UserFields on Actor {
+    login
+    avatarUrl
+    url
+}
+
+fragment IssueFields on Issue {
+    databaseId
+    number
+    title
+    body
+    state
+    stateReason
+    createdAt
+    updatedAt
+    closedAt
+    url
+    author { ...UserFields }
+    assignees(first: 10) { nodes { ...UserFields } }
+    labels(first: 20) { nodes { name color } }
+    comments { totalCount }
+    closedByPullRequestsReferences(first: 10, includeClosedPrs: true) { nodes { number repository { nameWithOwner } } }
+    timelineItems(itemTypes: [ASSIGNED_EVENT], last: 20) {
+        nodes { ... on AssignedEvent { createdAt assignee { ... on Actor { login } } } }
+    }
+    labelEvents: timelineItems(itemTypes: [LABELED_EVENT], last: 20) {
+        nodes { ... on LabeledEvent { createdAt label { name } } }
+    }
+}
+
+fragment PullRequestFields on PullRequest {
+    databaseId
+    number
+    title
+    body
+    state
+    isDraft
+    createdAt
+    updatedAt
+    closedAt
+    mergedAt
+    url
+    author { ...UserFields }
+    assignees(first: 10) { nodes { ...UserFields } }
+    labels(first: 20) { nodes { name color } }
+    comments { totalCount }
+}
+`;
+
+// Connection name and node fragment for each list we fetch per repository
+const CONNECTIONS = {
+    issues: { field: 'issues', fragment: 'IssueFields' },
+    pulls: { field: 'pullRequests', fragment: 'PullRequestFields' }
+};
+
+function normalizeUser(user) {
+    if (!user) return GHOST_USER;
+    return {
+        login: user.login,
+        avatar_url: user.avatarUrl,
+        html_url: user.url
+    };
+}
+
+/**
+ * Convert fields shared by issues and PRs to their REST names
+ */
+function normalizeItem(node) {
+    const assignees = (node.assignees?.nodes || []).map(normalizeUser);
+    return {
+        id: node.databaseId,
+        number: node.number,
+        title: node.title,
+        body: node.body,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        closed_at: node.closedAt,
+        html_url: node.url,
+        user: normalizeUser(node.author),
+        assignee: assignees[0] || null,
+        assignees,
+        labels: node.labels?.nodes || [],
+        comments: node.comments?.totalCount || 0
+    };
+}
+
+function normalizeIssue(node) {
+    return {
+        ...normalizeItem(node),
+        state: node.state.toLowerCase(),
+        state_reason: node.stateReason ? node.stateReason.toLowerCase() : null,
+        // PRs linked to close this issue, by keyword or manually, see linkPullRequests
+        linked_pulls: (node.closedByPullRequestsReferences?.nodes || [])
+            .map(pr => ({ number: pr.number, repository: pr.repository?.nameWithOwner || '' })),
+        // Raw assignment events, resolved to one time per assignee by getAssignmentTimes
+        assignments: (node.timelineItems?.nodes || [])
+            .filter(event => event?.assignee?.login)
+            .map(event => ({ login: event.assignee.login, assigned_at: event.createdAt })),
+        // When each label was added, used to date the points an issue offers
+        label_events: (node.labelEvents?.nodes || [])
+            .filter(event => event?.label?.name)
+            .map(event => ({ name: event.label.name, created_at: event.createdAt }))
+    };
+}
+
+function normalizePullRequest(node) {
+    return {
+        ...normalizeItem(node),
+        // REST reports merged PRs as closed with a merged_at timestamp
+        state: node.state === 'OPEN' ? 'open' : 'closed',
+        merged_at: node.mergedAt,
+        draft: node.isDraft
+    };
+}
+
+/**
+ * Build one query that fetches the next page of every task's connection
+ * @param {Array} tasks - { project, kind, cursor }
+ * @returns {Object} { query, variables }
+ */
+function buildQuery(tasks) {
+    const definitions = [];
+    const fields = [];
+    const variables = {};
+
+    tasks.forEach((task, i) => {
+        const { field, fragment } = CONNECTIONS[task.kind];
+        definitions.push(`$owner${i}: String!`, `$name${i}: String!`, `$after${i}: String`);
+        variables[`owner${i}`] = task.project.owner;
+        variables[`name${i}`] = task.project.repo;
+        variables[`after${i}`] = task.cursor;
+
+        fields.push(`
+    t${i}: repository(owner: $owner${i}, name: $name${i}) {
+        ${field}(first: ${PAGE_SIZE}, after: $after${i}, orderBy: { field: CREATED_AT, direction: DESC }) {
+            pageInfo { hasNextPage endCursor }
+            nodes { ...${fragment} }
+        }
+    }`);
+    });
+
+    return {
+        query: `query(${definitions.join(', ')}) {${fields.join('')}
+}
+${FRAGMENTS}`,
+        variables
+    };
+}
+
+/**
+ * Run one batch of connection tasks and advance their cursors in place
+ * @param {Array} tasks - Tasks to fetch in a single query
+ */
+async function runBatch(tasks) {
+    const failAll = () => tasks.forEach(task => { task.failed = true; });
+
+    if (isQuotaExhausted('graphql')) {
+        failAll();
+        return;
+    }
+
+    let payload;
+    try {
+        const response = await scheduleFetch(GRAPHQL_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.GITHUB_TOKEN}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(buildQuery(tasks)),
+            cache: 'no-store'
+        });
+
+        if (!response.ok) {
+            console.warn(`GraphQL request failed: ${response.status}`);
+            failAll();
+            return;
+        }
+
+        payload = await response.json();
+    } catch (error) {
+        console.error('Error running GraphQL query:', error);
+        failAll();
+        return;
+    }
+
+    (payload.errors || []).forEach(error => console.warn('GraphQL error:', error.message));
+
+    tasks.forEach((task, i) => {
+        const connection = payload.data?.[`t${i}`]?.[CONNECTIONS[task.kind].field];
+        if (!connection) {
+            task.failed = true;
+            return;
+        }
+
+        const normalize = task.kind === 'issues' ? normalizeIssue : normalizePullRequest;
+        task.items.push(...connection.nodes.filter(Boolean).map(normalize));
+        task.pages++;
+        task.cursor = connection.pageInfo.endCursor;
+        task.hasNextPage = connection.pageInfo.hasNextPage;
+    });
+}
+
+function getCacheKey(project) {
+    return `${config.authFingerprint()}:graphql:${project.owner}/${project.repo}`;
+}
+
+/**
+ * Read previously normalized GraphQL results from the response cache
+ */
+async function readCachedResults(projects) {
+    const results = new Map();
+
+    await Promise.all(projects.map(async (project) => {
+        const cached = await dbGet(STORES.responses, getCacheKey(project));
+        if (!cached) return;
+
+        const toResult = (list) => ({ ...list, ok: true, fromCache: true, stale: false });
+        results.set(project.id, {
+            issues: toResult(cached.data.issues),
+            pulls: toResult(cached.data.pulls)
+        });
+    }));
+
+    return results;
+}
+
+/**
+ * Fetch issues and PRs for all projects with batched GraphQL queries
+ * Only projects whose lists loaded completely are included in the result,
+ * callers are expected to fall back to REST for the rest
+ * @param {Array} projects - Array of project configurations
+ * @param {Object} settings - Settings object with maxPages and graphqlBatchSize
+ * @param {Object} options - { cacheOnly } to read previously stored results only
+ * @returns {Promise<Map>} project.id -> { issues, pulls } with { items, truncated, ok, fromCache, stale }
+ */
+export async function fetchProjectsGraphQL(projects, settings, options = {}) {
+    if (options.cacheOnly) {
+        return readCachedResults(projects);
+    }
+
+    const batchSize = settings.graphqlBatchSize || DEFAULT_BATCH_SIZE;
+    const tasks = projects.flatMap(project => Object.keys(CONNECTIONS).map(kind => ({
+        project,
+        kind,
+        cursor: null,
+        items: [],
+        pages: 0,
+        hasNextPage: true,
+        failed: false
+    })));
+
+    // Each round fetches the next page of every unfinished connection
+    let pending = tasks;
+    while (pending.length > 0) {
+        const batches = [];
+        for (let i = 0; i < pending.length; i += batchSize) {
+            batches.push(pending.slice(i, i + batchSize));
+        }
+        await Promise.all(batches.map(runBatch));
+
+        pending = tasks.filter(task => !task.failed && task.hasNextPage && task.pages < settings.maxPages);
+    }
+
+    const results = new Map();
+
+    await Promise.all(projects.map(async (project) => {
+        const [issues, pulls] = Object.keys(CONNECTIONS)
+            .map(kind => tasks.find(task => task.project === project && task.kind === kind));
+
+        if (issues.failed || pulls.failed) {
+            console.warn(`GraphQL could not load ${project.owner}/${project.repo}, falling back to REST`);
+            return;
+        }
+
+        const toList = (task) => {
+            const truncated = task.hasNextPage;
+            if (truncated) {
+                console.warn(`Stopped fetching ${task.kind} for ${project.owner}/${project.repo} after ${task.pages} pages (${task.items.length} items). Raise settings.maxPages to fetch the rest.`);
+            }
+            return { items: task.items, truncated };
+        };
+        const data = { issues: toList(issues), pulls: toList(pulls) };
+
+        await dbPut(STORES.responses, {
+            url: getCacheKey(project),
+            data,
+            fetchedAt: new Date().toISOString()
+        });
+
+        const toResult = (list) => ({ ...list, ok: true, fromCache: false, stale: false });
+        results.set(project.id, { issues: toResult(data.issues), pulls: toResult(data.pulls) });
+    }));
+
+    return results;
+}
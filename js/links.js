@@ -0,0 +1,126 @@
+/**
+ * Links Module
+ * Connects merged pull requests to the issues they reference or close
+ */
+
+// GitHub closing keywords, optionally qualified with a repository: "Fixes #12", "closes owner/repo#12"
+const CLOSING_KEYWORDS = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+(?:([\w.-]+)\/([\w.-]+))?#(\d+)\b/gi;
+
+/**
+ * Find the issues a PR body closes with GitHub's closing keywords
+ * References to other repositories are ignored
+ * @param {string} body - PR description
+ * @param {string} owner - Repository owner of the PR
+ * @param {string} repo - Repository name of the PR
+ * @returns {Array<number>} Issue numbers
+ */
+export function parseClosingReferences(body, owner, repo) {
+    if (!body) return [];
+
+    const numbers = new Set();
+    for (const match of body.matchAll(CLOSING_KEYWORDS)) {
+        const [, refOwner, refRepo, number] = match;
+        if (refOwner && (refOwner.toLowerCase() !== owner.toLowerCase() || refRepo.toLowerCase() !== repo.toLowerCase())) {
+            continue;
+        }
+        numbers.add(parseInt(number, 10));
+    }
+    return Array.from(numbers);
+}
+
+// Compare "owner/repo" names, GitHub treats them case-insensitively
+function isSameRepository(name, owner, repo) {
+    return typeof name === 'string' && name.toLowerCase() === `${owner}/${repo}`.toLowerCase();
+}
+
+/**
+ * Read PR links from an issue's REST timeline
+ * The closing PR is the one whose merge commit closed the issue,
+ * other merged PRs that mention the issue are returned as references.
+ * PRs from other repositories (forks included) are ignored, their numbers
+ * would otherwise match unrelated local PRs
+ * @param {Array} events - Items from /issues/{number}/timeline
+ * @param {Array} pulls - Pull requests of the same repository
+ * @param {string} owner - Repository owner of the issue
+ * @param {string} repo - Repository name of the issue
+ * @returns {Object} { closing: number|null, referenced: Array<number> }
+ */
+export function getTimelineReferences(events, pulls, owner, repo) {
+    let closing = null;
+    const referenced = new Set();
+
+    events.forEach(event => {
+        if (event.event === 'closed' && event.commit_id) {
+            const pr = pulls.find(p => p.merge_commit_sha === event.commit_id);
+            if (pr) closing = pr.number;
+        } else if (event.event === 'cross-referenced' && event.source?.issue?.pull_request) {
+            const source = event.source.issue;
+            const repository = source.repository?.full_name
+                || source.repository_url?.replace(/^.*\/repos\//, '');
+            if (isSameRepository(repository, owner, repo)) referenced.add(source.number);
+        }
+    });
+
+    return { closing, referenced: Array.from(referenced) };
+}
+
+function toLinkedPR(pr) {
+    return {
+        number: pr.number,
+        title: pr.title,
+        html_url: pr.html_url,
+        user: pr.user,
+        merged_at: pr.merged_at
+    };
+}
+
+/**
+ * Attach merged PRs to the issues they are linked to
+ * Links come from closing keywords in PR bodies, from GraphQL's closing
+ * references (issue.linked_pulls, only those from this repository) and from fetched timelines
+ * @param {Array} issues - Processed issues of one repository
+ * @param {Array} pulls - All fetched pull requests of the repository
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Map} timelines - issue number -> getTimelineReferences result
+ * @returns {Array} Issues with linkedPRs and closingPR (null when not closed by a merged PR)
+ */
+export function linkPullRequests(issues, pulls, owner, repo, timelines = new Map()) {
+    const merged = pulls.filter(pr => pr.merged_at);
+    const byNumber = new Map(merged.map(pr => [pr.number, pr]));
+
+    const closedBy = new Map();
+    merged.forEach(pr => {
+        parseClosingReferences(pr.body, owner, repo).forEach(number => {
+            if (!closedBy.has(number)) closedBy.set(number, []);
+            closedBy.get(number).push(pr);
+        });
+    });
+
+    return issues.map(issue => {
+        const timeline = timelines.get(issue.number);
+        const closing = [
+            ...(closedBy.get(issue.number) || []),
+            ...(issue.linked_pulls || [])
+                .filter(pr => isSameRepository(pr.repository, owner, repo))
+                .map(pr => byNumber.get(pr.number))
+                .filter(Boolean)
+        ];
+        const timelineClosing = timeline?.closing ? byNumber.get(timeline.closing) : null;
+        const referenced = (timeline?.referenced || []).map(n => byNumber.get(n)).filter(Boolean);
+
+        const linked = new Map();
+        [timelineClosing, ...closing, ...referenced].filter(Boolean).forEach(pr => linked.set(pr.number, pr));
+
+        // Prefer the PR that actually closed the issue, then the most recently merged closing reference
+        const closingPR = issue.state === 'closed'
+            ? timelineClosing || closing.sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at))[0] || null
+            : null;
+
+        return {
+            ...issue,
+            linkedPRs: Array.from(linked.values()).map(toLinkedPR),
+            closingPR: closingPR ? toLinkedPR(closingPR) : null
+        };
+    });
+}
@@ -1,14 +1,70 @@
 /**
  * Modal Module
- * Handles issue details modal
+ * Handles the issue and pull request details modal
  */
 
-import { fetchIssueComments } from './api.js';
+import { fetchIssueComments, fetchIssueTimeline } from './api.js';
+import { getAssignees } from './filters.js';
+import { describePointsStep } from './points.js';
+import { describeCompletion } from './completion.js';
+import { escapeHtml, escapeUrl, sanitizeUrl, renderMarkdown, renderLabel } from './render.js';
+import { fetchPullDetails, getPullState } from './pulls.js';
 
 let modalBackdrop, modal, modalTitle, modalBody, modalGithubLink, modalClose;
 let currentIssue = null;
+let onCloseRequest = closeModal;
+
+// Timelines and PR details already loaded this session, keyed by "owner/repo/number"
+const timelineCache = new Map();
+const pullCache = new Map();
+
+// Complete PR details are reused for this long, reviews and commits keep coming in
+const PULL_CACHE_TTL = 5 * 60 * 1000;
+
+// Timeline events worth showing and their icons
+const TIMELINE_ICONS = {
+  labeled: 'tag',
+  unlabeled: 'tag',
+  assigned: 'user-plus',
+  unassigned: 'user-minus',
+  referenced: 'git-commit-horizontal',
+  'cross-referenced': 'link',
+  connected: 'git-pull-request',
+  disconnected: 'git-pull-request',
+  closed: 'circle-check',
+  reopened: 'circle-dot'
+};
+
+// Review decision badges and per-review wording in the PR modal
+const REVIEW_DECISIONS = {
+  approved: '<span class="badge badge-success">تمت الموافقة</span>',
+  changes_requested: '<span class="badge badge-warning">طُلبت تغييرات</span>',
+  review_required: '<span class="badge badge-muted">بانتظار المراجعة</span>',
+  none: '<span class="badge badge-muted">لا توجد مراجعات</span>'
+};
+
+const REVIEW_STATES = {
+  APPROVED: { icon: 'circle-check', text: 'وافق' },
+  CHANGES_REQUESTED: { icon: 'circle-alert', text: 'طلب تغييرات' },
+  COMMENTED: { icon: 'message-circle', text: 'علّق' },
+  DISMISSED: { icon: 'circle-slash', text: 'أُلغيت مراجعته' }
+};
+
+// Check states, used for the overall result and for each check
+const CHECK_STATES = {
+  success: { icon: 'circle-check', className: 'check-success', text: 'نجحت كل الفحوصات' },
+  failure: { icon: 'circle-x', className: 'check-failure', text: 'فشلت بعض الفحوصات' },
+  pending: { icon: 'loader', className: 'check-pending', text: 'الفحوصات قيد التشغيل' },
+  none: { icon: 'circle-dashed', className: 'text-muted-foreground', text: 'لا توجد فحوصات' }
+};
+
+/**
+ * @param {Object} options - { onClose } called instead of closeModal when the user
+ *                           dismisses the modal, e.g. to close it through history.back()
+ */
+export function initModal(options = {}) {
+  if (options.onClose) onCloseRequest = options.onClose;
 
-export function initModal() {
   modalBackdrop = document.getElementById('modal-backdrop');
   modal = document.getElementById('issue-modal');
   modalTitle = document.getElementById('modal-title');
@@ -17,13 +73,13 @@ export function initModal() {
   modalClose = document.getElementById('modal-close');
 
   // Close modal on backdrop click
-  modalBackdrop?.addEventListener('click', closeModal);
-  modalClose?.addEventListener('click', closeModal);
+  modalBackdrop?.addEventListener('click', () => onCloseRequest());
+  modalClose?.addEventListener('click', () => onCloseRequest());
 
   // Close on Escape key
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape' && modal?.classList.contains('active')) {
-      closeModal();
+      onCloseRequest();
     }
   });
 }
@@ -33,10 +89,15 @@ export async function openModal(issue, owner, repo) {
 
   // Set title and link
   modalTitle.textContent = issue.title;
-  modalGithubLink.href = issue.html_url;
+  modalGithubLink.href = sanitizeUrl(issue.html_url);
 
-  // Render initial content with loading
-  renderModalContent(issue, [], true);
+  // Render the issue with the comments still loading, PRs get their own layout
+  const isPR = isPullRequest(issue);
+  if (isPR) {
+    renderPullContent(issue, owner, repo);
+  } else {
+    renderModalContent(issue, owner, repo);
+  }
 
   // Show modal
   modalBackdrop?.classList.add('active');
@@ -46,15 +107,14 @@ export async function openModal(issue, owner, repo) {
   // Reinitialize Lucide icons
   if (window.lucide) window.lucide.createIcons();
 
-  // Fetch comments
-  try {
-    const comments = await fetchIssueComments(owner, repo, issue.number);
-    renderModalContent(issue, comments, false);
-    if (window.lucide) window.lucide.createIcons();
-  } catch (error) {
-    console.error('Failed to fetch comments:', error);
-    renderModalContent(issue, [], false);
-  }
+  if (isPR) loadPullDetails(issue, owner, repo);
+
+  // Fetch comments, null marks a failed load
+  const { items, ok } = await fetchIssueComments(owner, repo, issue.number);
+
+  // Another issue may have been opened in the meantime
+  if (currentIssue?.issue !== issue) return;
+  renderComments(ok ? items : null, { owner, repo });
 }
 
 export function closeModal() {
@@ -68,30 +128,52 @@ export function getCurrentIssue() {
   return currentIssue;
 }
 
-function renderModalContent(issue, comments, isLoading) {
-  const statusBadge = issue.state === 'open'
+function isPullRequest(item) {
+  return !!item.pull_request || !!item.html_url?.includes('/pull/');
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('ar-EG', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+function renderUser(user) {
+  if (!user) return '<span class="font-semibold">ghost</span>';
+  return `<a href="${escapeUrl(user.html_url)}" target="_blank" rel="noopener" class="font-semibold hover:text-primary">${escapeHtml(user.login)}</a>`;
+}
+
+function renderModalContent(issue, owner, repo) {
+  let statusBadge = issue.state === 'open'
     ? '<span class="badge badge-success">مفتوحة</span>'
     : '<span class="badge" style="background: hsl(271 91% 65% / 0.15); color: hsl(271 91% 65%);">مغلقة</span>';
+  if (issue.completion?.status === 'not_counted') {
+    statusBadge = `<span class="badge badge-muted">مغلقة – غير محتسبة</span>
+      <span class="text-xs text-muted-foreground">${escapeHtml(describeCompletion(issue.completion))}</span>`;
+  }
 
   const pointsBadge = issue.points > 0
     ? `<span class="badge badge-points">${issue.points} نقطة</span>`
     : '';
 
-  const assignee = issue.assignee
+  const assignees = getAssignees(issue);
+  const assignee = assignees.length > 0
     ? `
-      <div class="flex items-center gap-2 text-sm text-muted-foreground">
+      <div class="flex flex-wrap items-center gap-2 text-sm text-muted-foreground">
         <i data-lucide="user" class="w-4 h-4"></i>
         <span>مسندة إلى:</span>
-        <div class="avatar">
-          <img src="${issue.assignee.avatar_url}" alt="${issue.assignee.login}">
-        </div>
-        <a href="${issue.assignee.html_url}" target="_blank" class="text-primary hover:underline">${issue.assignee.login}</a>
+        ${assignees.map(a => `
+          <div class="avatar">
+            <img src="${escapeUrl(a.avatar_url)}" alt="${escapeHtml(a.login)}">
+          </div>
+          <a href="${escapeUrl(a.html_url)}" target="_blank" rel="noopener" class="text-primary hover:underline">${escapeHtml(a.login)}</a>
+        `).join('')}
       </div>
     `
     : '';
 
-  const commentsSection = renderCommentsSection(comments, isLoading);
-
   modalBody.innerHTML = `
     <div class="flex flex-wrap items-center gap-2 mb-4">
       ${statusBadge}
@@ -99,11 +181,421 @@ function renderModalContent(issue, comments, isLoading) {
       <span class="badge badge-secondary">#${issue.number}</span>
       ${assignee}
     </div>
-    ${commentsSection}
+    ${renderIssueMeta(issue, false)}
+    ${renderLabels(issue)}
+    ${renderBody(issue, { owner, repo }, 'لا يوجد وصف لهذه المهمة.')}
+    ${renderPointsBreakdown(issue)}
+    ${renderLinkedPRs(issue)}
+    <details class="timeline-section">
+      <summary class="comments-header">
+        <i data-lucide="history" class="w-5 h-5"></i>
+        السجل الزمني
+      </summary>
+      <div class="timeline-content"></div>
+    </details>
+    <div class="modal-comments">${renderCommentsSection([], true)}</div>
+  `;
+
+  // The timeline costs extra requests, so it is only fetched when expanded
+  const timelineSection = modalBody.querySelector('.timeline-section');
+  timelineSection.addEventListener('toggle', () => {
+    if (timelineSection.open) loadTimeline(issue, owner, repo, timelineSection.querySelector('.timeline-content'));
+  });
+}
+
+/**
+ * Render a PR with its details still loading, loadPullDetails fills them in
+ */
+function renderPullContent(pull, owner, repo) {
+  modalBody.innerHTML = `
+    <div class="flex flex-wrap items-center gap-2 mb-4">
+      ${renderPullStateBadge(pull)}
+      <span class="badge badge-secondary">#${pull.number}</span>
+    </div>
+    ${renderIssueMeta(pull, true)}
+    ${renderLabels(pull)}
+    ${renderBody(pull, { owner, repo }, 'لا يوجد وصف لطلب السحب هذا.')}
+    <div class="pull-details">
+      <div class="flex items-center justify-center py-4">
+        <div class="spinner" style="width: 1.5rem; height: 1.5rem;"></div>
+      </div>
+    </div>
+    <div class="modal-comments">${renderCommentsSection([], true)}</div>
+  `;
+}
+
+function renderPullStateBadge(pull) {
+  switch (getPullState(pull)) {
+    case 'merged':
+      return '<span class="badge pull-state" style="background: hsl(271 91% 65% / 0.15); color: hsl(271 91% 65%);">مدمج</span>';
+    case 'closed':
+      return '<span class="badge pull-state" style="background: hsl(0 84% 60% / 0.15); color: hsl(0 84% 60%);">مغلق</span>';
+    case 'draft':
+      return '<span class="badge badge-muted pull-state">مسودة</span>';
+    default:
+      return '<span class="badge badge-success pull-state">مفتوح</span>';
+  }
+}
+
+function renderIssueMeta(item, isPR) {
+  const author = item.user
+    ? `
+      <span class="issue-meta-item">
+        <div class="avatar"><img src="${escapeUrl(item.user.avatar_url)}" alt="${escapeHtml(item.user.login)}"></div>
+        ${renderUser(item.user)}
+      </span>
+    `
+    : '';
+
+  let closed = '';
+  if (isPR && item.merged_at) {
+    closed = `<i data-lucide="git-merge" class="w-3 h-3"></i> دُمج ${formatDate(item.merged_at)}`;
+  } else if (item.closed_at) {
+    closed = `<i data-lucide="calendar-check" class="w-3 h-3"></i> ${isPR ? 'أُغلق' : 'أُغلقت'} ${formatDate(item.closed_at)}`;
+  }
+
+  return `
+    <div class="issue-modal-meta mb-4">
+      ${author}
+      <span class="issue-meta-item">
+        <i data-lucide="calendar-plus" class="w-3 h-3"></i>
+        ${isPR ? 'أُنشئ' : 'أُنشئت'} ${formatDate(item.created_at)}
+      </span>
+      ${closed ? `<span class="issue-meta-item">${closed}</span>` : ''}
+    </div>
+  `;
+}
+
+function renderLabels(item) {
+  if (!item.labels || item.labels.length === 0) return '';
+  return `<div class="flex flex-wrap gap-1 mb-4">${item.labels.map(renderLabel).join('')}</div>`;
+}
+
+function renderBody(item, context, emptyText) {
+  if (!item.body?.trim()) return `<p class="text-muted-foreground text-sm mb-4">${emptyText}</p>`;
+  return `<div class="issue-body mb-4">${renderMarkdown(item.body, context)}</div>`;
+}
+
+async function loadPullDetails(pull, owner, repo) {
+  const key = `${owner}/${repo}/${pull.number}`;
+
+  let details = pullCache.get(key);
+  if (details && Date.now() - details.loadedAt > PULL_CACHE_TTL) details = null;
+
+  if (!details) {
+    details = await fetchPullDetails(owner, repo, pull.number);
+    // Partial results and running checks are fetched again on the next open
+    const complete = details?.reviews && details.commits && details.checks && details.checks.state !== 'pending';
+    if (complete) {
+      pullCache.set(key, { ...details, loadedAt: Date.now() });
+    } else {
+      pullCache.delete(key);
+    }
+  }
+
+  if (currentIssue?.issue !== pull) return;
+  const container = modalBody.querySelector('.pull-details');
+  if (!container) return;
+
+  if (!details) {
+    container.innerHTML = '<p class="text-muted-foreground text-sm mb-4">تعذر تحميل تفاصيل طلب السحب.</p>';
+    return;
+  }
+
+  // The full PR knows the merge state even when the list entry is outdated
+  const badge = modalBody.querySelector('.pull-state');
+  if (badge) badge.outerHTML = renderPullStateBadge(details.pull);
+
+  container.innerHTML = `
+    ${renderPullSummary(details.pull)}
+    ${renderReviews(details.reviews)}
+    ${renderChecks(details.checks)}
+    ${renderCommits(details.commits)}
+  `;
+  if (window.lucide) window.lucide.createIcons();
+}
+
+function renderPullSummary(pull) {
+  const merged = pull.merged_by
+    ? `
+      <span class="issue-meta-item">
+        <i data-lucide="git-merge" class="w-3 h-3"></i>
+        دمجه ${renderUser(pull.merged_by)} في <code>${escapeHtml(pull.base.ref)}</code>
+      </span>
+    `
+    : '';
+
+  return `
+    <div class="pull-summary mb-4">
+      <span class="pull-additions" dir="ltr">+${pull.additions}</span>
+      <span class="pull-deletions" dir="ltr">−${pull.deletions}</span>
+      <span class="issue-meta-item">
+        <i data-lucide="file-diff" class="w-3 h-3"></i>
+        ${pull.changed_files} ملفات
+      </span>
+      <span class="issue-meta-item">
+        <i data-lucide="git-commit-horizontal" class="w-3 h-3"></i>
+        ${pull.commits} إيداعات
+      </span>
+      ${merged}
+    </div>
+  `;
+}
+
+/**
+ * Header of a PR section followed by a load error, used when that part of fetchPullDetails is null
+ */
+function renderFailedSection(icon, title) {
+  return `
+    <div class="pull-section">
+      <div class="comments-header">
+        <i data-lucide="${icon}" class="w-5 h-5"></i>
+        ${title}
+      </div>
+      <p class="text-muted-foreground text-sm">تعذر التحميل.</p>
+    </div>
+  `;
+}
+
+function renderReviews(reviews) {
+  if (!reviews) return renderFailedSection('eye', 'المراجعات');
+
+  const items = reviews.reviews.map(review => {
+    const state = REVIEW_STATES[review.state] || REVIEW_STATES.COMMENTED;
+    return `
+      <li class="timeline-item">
+        <i data-lucide="${state.icon}" class="w-4 h-4"></i>
+        <span class="timeline-text">${renderUser(review.user)} ${state.text}</span>
+        ${review.submitted_at ? `<span class="comment-date">${formatDate(review.submitted_at)}</span>` : ''}
+      </li>
+    `;
+  });
+
+  const requested = reviews.requested.length > 0
+    ? `
+      <li class="timeline-item">
+        <i data-lucide="clock" class="w-4 h-4"></i>
+        <span class="timeline-text">مطلوبة من: ${reviews.requested.map(r => `<a href="${escapeUrl(r.html_url)}" target="_blank" rel="noopener" class="font-semibold hover:text-primary">${escapeHtml(r.name)}</a>`).join('، ')}</span>
+      </li>
+    `
+    : '';
+
+  return `
+    <div class="pull-section">
+      <div class="comments-header">
+        <i data-lucide="eye" class="w-5 h-5"></i>
+        المراجعات
+        ${REVIEW_DECISIONS[reviews.decision]}
+      </div>
+      <ul class="timeline">
+        ${items.join('')}
+        ${requested}
+      </ul>
+    </div>
+  `;
+}
+
+function renderChecks(checks) {
+  if (!checks) return renderFailedSection('circle-dashed', 'الفحوصات');
+
+  const overall = CHECK_STATES[checks.state];
+  const items = checks.checks.map(check => {
+    const state = CHECK_STATES[check.state];
+    const name = sanitizeUrl(check.url)
+      ? `<a href="${escapeUrl(check.url)}" target="_blank" rel="noopener" class="font-semibold hover:text-primary">${escapeHtml(check.name)}</a>`
+      : `<span class="font-semibold">${escapeHtml(check.name)}</span>`;
+    return `
+      <li class="timeline-item">
+        <i data-lucide="${state.icon}" class="w-4 h-4 ${state.className}"></i>
+        <span class="timeline-text">
+          ${name}
+          <span class="text-muted-foreground">${escapeHtml(check.description)}</span>
+        </span>
+      </li>
+    `;
+  });
+
+  return `
+    <div class="pull-section">
+      <div class="comments-header">
+        <i data-lucide="${overall.icon}" class="w-5 h-5 ${overall.className}"></i>
+        ${overall.text}
+      </div>
+      <ul class="timeline">
+        ${items.join('')}
+      </ul>
+    </div>
   `;
 }
 
-function renderCommentsSection(comments, isLoading) {
+function renderCommits(commits) {
+  if (!commits) return renderFailedSection('git-commit-horizontal', 'الإيداعات');
+  if (commits.length === 0) return '';
+
+  return `
+    <div class="pull-section">
+      <div class="comments-header">
+        <i data-lucide="git-commit-horizontal" class="w-5 h-5"></i>
+        الإيداعات (${commits.length})
+      </div>
+      <ul class="timeline">
+        ${commits.map(commit => `
+          <li class="timeline-item">
+            <a href="${escapeUrl(commit.html_url)}" target="_blank" rel="noopener" class="font-mono text-primary hover:underline" dir="ltr">${escapeHtml(commit.sha.slice(0, 7))}</a>
+            <span class="timeline-text truncate">${escapeHtml(commit.commit.message.split('\n')[0])}</span>
+            <span class="comment-date">${commit.author ? escapeHtml(commit.author.login) : escapeHtml(commit.commit.author?.name)}</span>
+            <span class="comment-date">${formatDate(commit.commit.author?.date || commit.commit.committer?.date)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+function renderComments(comments, context) {
+  const container = modalBody.querySelector('.modal-comments');
+  if (!container) return;
+  container.innerHTML = renderCommentsSection(comments, false, context);
+  if (window.lucide) window.lucide.createIcons();
+}
+
+async function loadTimeline(issue, owner, repo, container) {
+  const key = `${owner}/${repo}/${issue.number}`;
+
+  if (!timelineCache.has(key)) {
+    container.innerHTML = `
+      <div class="flex items-center justify-center py-4">
+        <div class="spinner" style="width: 1.5rem; height: 1.5rem;"></div>
+      </div>
+    `;
+    const { items: events, ok } = await fetchIssueTimeline(owner, repo, issue.number);
+    // Failures are not cached so reopening the section tries again
+    if (ok) timelineCache.set(key, events);
+  }
+
+  if (currentIssue?.issue !== issue) return;
+
+  if (!timelineCache.has(key)) {
+    container.innerHTML = '<p class="text-muted-foreground text-sm">تعذر تحميل السجل الزمني.</p>';
+    return;
+  }
+
+  const items = timelineCache.get(key)
+    .map(event => ({ event, html: describeTimelineEvent(event, owner, repo) }))
+    .filter(item => item.html);
+
+  container.innerHTML = items.length > 0
+    ? `<ul class="timeline">${items.map(({ event, html }) => `
+        <li class="timeline-item">
+          <i data-lucide="${TIMELINE_ICONS[event.event]}" class="w-4 h-4"></i>
+          <span class="timeline-text">${html}</span>
+          <span class="comment-date">${formatDate(event.created_at)}</span>
+        </li>
+      `).join('')}</ul>`
+    : '<p class="text-muted-foreground text-sm">لا توجد أحداث في السجل.</p>';
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
+/**
+ * Describe a REST timeline event, events without an entry in TIMELINE_ICONS
+ * (comments, subscriptions, renames, ...) return null
+ */
+function describeTimelineEvent(event, owner, repo) {
+  const actor = renderUser(event.actor);
+  const commit = event.commit_id
+    ? `<a href="https://github.com/${escapeHtml(commitRepo(event, owner, repo))}/commit/${escapeHtml(event.commit_id)}" target="_blank" rel="noopener" class="font-mono text-primary hover:underline">${escapeHtml(event.commit_id.slice(0, 7))}</a>`
+    : '';
+
+  switch (event.event) {
+    case 'labeled':
+      return `${actor} أضاف الوسم ${renderLabel(event.label)}`;
+    case 'unlabeled':
+      return `${actor} أزال الوسم ${renderLabel(event.label)}`;
+    case 'assigned':
+      return `${actor} أسند المهمة إلى ${renderUser(event.assignee)}`;
+    case 'unassigned':
+      return `${actor} ألغى إسناد ${renderUser(event.assignee)}`;
+    case 'referenced':
+      return `${actor} أشار إلى المهمة في الإيداع ${commit}`;
+    case 'cross-referenced': {
+      const source = event.source?.issue;
+      if (!source) return null;
+      const kind = source.pull_request ? 'طلب السحب' : 'المهمة';
+      return `${actor} أشار إليها في ${kind} <a href="${escapeUrl(source.html_url)}" target="_blank" rel="noopener" class="text-primary hover:underline">${escapeHtml(source.title)} #${source.number}</a>`;
+    }
+    case 'connected':
+      return `${actor} ربط طلب سحب بالمهمة`;
+    case 'disconnected':
+      return `${actor} ألغى ربط طلب سحب بالمهمة`;
+    case 'closed':
+      return `${actor} أغلق المهمة${commit ? ` عبر الإيداع ${commit}` : ''}${event.state_reason === 'not_planned' ? ' (غير مخطط لها)' : ''}`;
+    case 'reopened':
+      return `${actor} أعاد فتح المهمة`;
+    default:
+      return null;
+  }
+}
+
+// Commits can live in another repository (e.g. a fork), commit_url names it
+function commitRepo(event, owner, repo) {
+  const match = event.commit_url?.match(/\/repos\/([^/]+\/[^/]+)\/commits\//);
+  return match ? match[1] : `${owner}/${repo}`;
+}
+
+function renderPointsBreakdown(issue) {
+  if (!issue.pointsBreakdown || issue.pointsBreakdown.length === 0) return '';
+
+  return `
+    <div class="points-breakdown mb-4">
+      <div class="points-breakdown-header">
+        <i data-lucide="calculator" class="w-4 h-4"></i>
+        طريقة حساب النقاط
+      </div>
+      <ul>
+        ${issue.pointsBreakdown.map(step => `<li>${escapeHtml(describePointsStep(step))}</li>`).join('')}
+      </ul>
+      <div class="points-breakdown-total">المجموع: ${issue.points} نقطة</div>
+    </div>
+  `;
+}
+
+function renderLinkedPRs(issue) {
+  if (!issue.linkedPRs || issue.linkedPRs.length === 0) return '';
+
+  const rows = issue.linkedPRs.map(pr => {
+    const isClosing = issue.closingPR?.number === pr.number;
+    return `
+      <a href="${escapeUrl(pr.html_url)}" target="_blank" rel="noopener" class="linked-pr">
+        <i data-lucide="git-merge" class="w-4 h-4" style="color: hsl(271 91% 65%)"></i>
+        <span class="truncate">${escapeHtml(pr.title)}</span>
+        <span class="text-muted-foreground">#${pr.number}</span>
+        <span class="text-muted-foreground">${escapeHtml(pr.user.login)}</span>
+        ${isClosing ? '<span class="badge badge-secondary">أغلق المهمة</span>' : ''}
+      </a>
+    `;
+  });
+
+  return `
+    <div class="linked-prs mb-4">
+      ${rows.join('')}
+    </div>
+  `;
+}
+
+function renderCommentsSection(comments, isLoading, context) {
+  if (!isLoading && !comments) {
+    return `
+            <div class="comments-section">
+                <div class="comments-header">
+                    <i data-lucide="message-circle" class="w-5 h-5"></i>
+                    التعليقات
+                </div>
+                <p class="text-muted-foreground text-sm">تعذر تحميل التعليقات.</p>
+            </div>
+        `;
+  }
+
   if (isLoading) {
     return `
             <div class="comments-section">
@@ -136,64 +628,26 @@ function renderCommentsSection(comments, isLoading) {
                 <i data-lucide="message-circle" class="w-5 h-5"></i>
                 التعليقات (${comments.length})
             </div>
-            ${comments.map(renderComment).join('')}
+            ${comments.map(comment => renderComment(comment, context)).join('')}
         </div>
     `;
 }
 
-function renderComment(comment) {
-  const date = new Date(comment.created_at).toLocaleDateString('ar-EG', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric'
-  });
+function renderComment(comment, context) {
+  const date = formatDate(comment.created_at);
 
   return `
         <div class="comment">
             <div class="comment-avatar">
-                <img src="${comment.user.avatar_url}" alt="${comment.user.login}">
+                <img src="${escapeUrl(comment.user.avatar_url)}" alt="${escapeHtml(comment.user.login)}">
             </div>
             <div class="comment-content">
                 <div class="comment-header">
-                    <span class="comment-author">${comment.user.login}</span>
+                    <span class="comment-author">${escapeHtml(comment.user.login)}</span>
                     <span class="comment-date">${date}</span>
                 </div>
-                <div class="comment-body">${formatMarkdown(comment.body)}</div>
+                <div class="comment-body issue-body">${renderMarkdown(comment.body, context)}</div>
             </div>
         </div>
     `;
 }
-
-function formatMarkdown(text) {
-  if (!text) return '';
-
-  return text
-    // Headers
-    .replace(/^### (.*$)/gm, '<h3>$1</h3>')
-    .replace(/^## (.*$)/gm, '<h2>$1</h2>')
-    .replace(/^# (.*$)/gm, '<h1>$1</h1>')
-    // Bold
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    // Italic
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    // Code blocks
-    .replace(/```[\s\S]*?```/g, (match) => {
-      const code = match.replace(/```(\w*)\n?/g, '').replace(/```/g, '');
-      return `<pre><code>${code}</code></pre>`;
-    })
-    // Inline code
-    .replace(/`([^`]+)`/g, '<code>$1</code>')
-    // Links
-    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" class="text-primary hover:underline">$1</a>')
-    // Lists
-    .replace(/^\- (.*$)/gm, '<li>$1</li>')
-    .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
-    // Line breaks
-    .replace(/\n\n/g, '</p><p>')
-    .replace(/\n/g, '<br>')
-    // Wrap in paragraph
-    .replace(/^(.*)$/s, '<p>$1</p>')
-    // Clean up empty paragraphs
-    .replace(/<p><\/p>/g, '')
-    .replace(/<p><br><\/p>/g, '');
-}
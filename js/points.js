@@ -0,0 +1,160 @@
+/**
+ * Points Module
+ * Evaluates the points rules from projects.json against issue labels
+ */
+
+// Rules the pointsRules section of projects.json is merged onto, the patterns
+// match the label formats the tracker has always accepted and are only set here
+const DEFAULT_RULES = {
+    // "100", "100 points", "100pts", "100 poins"
+    // "pts-100", "points-100", "points:100", "pts 100"
+    patterns: [
+        '^(\\d+)[\\s:-]*(?:points?|poins|pts)?$',
+        '^(?:pts|points?|poins)[\\s:-]*(\\d+)$'
+    ],
+    values: {},
+    bonuses: {},
+    multipliers: {},
+    cap: null
+};
+
+const patternCache = new Map();
+
+/**
+ * @param {string} pattern - Pattern from the points rules
+ * @returns {RegExp|null} null for invalid patterns, which are reported once and skipped
+ */
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        try {
+            patternCache.set(pattern, new RegExp(pattern, 'i'));
+        } catch (error) {
+            console.warn(`Skipping invalid points pattern "${pattern}":`, error.message);
+            patternCache.set(pattern, null);
+        }
+    }
+    return patternCache.get(pattern);
+}
+
+// Label names are matched case-insensitively
+function lowerKeys(map = {}) {
+    return Object.fromEntries(Object.entries(map).map(([key, value]) => [key.toLowerCase(), value]));
+}
+
+function mergeRules(rules, override) {
+    if (!override) return rules;
+    return {
+        patterns: override.patterns || rules.patterns,
+        values: { ...rules.values, ...lowerKeys(override.values) },
+        bonuses: { ...rules.bonuses, ...lowerKeys(override.bonuses) },
+        multipliers: { ...rules.multipliers, ...lowerKeys(override.multipliers) },
+        cap: override.cap !== undefined ? override.cap : rules.cap
+    };
+}
+
+/**
+ * Resolve the rules that apply to a project
+ * Category overrides are applied first, then project overrides
+ * @param {Object} rules - pointsRules section of projects.json
+ * @param {Object} project - Project configuration with id and category
+ * @returns {Object} { patterns, values, bonuses, multipliers, cap }
+ */
+export function resolvePointsRules(rules = {}, project = null) {
+    let resolved = mergeRules(DEFAULT_RULES, rules);
+    if (project) {
+        resolved = mergeRules(resolved, rules.overrides?.categories?.[project.category]);
+        resolved = mergeRules(resolved, rules.overrides?.projects?.[project.id]);
+    }
+    return resolved;
+}
+
+/**
+ * Base points from the first label that has a fixed value or matches a pattern
+ */
+function findBasePoints(labels, rules) {
+    for (const label of labels) {
+        const name = label.name.trim();
+        const value = rules.values[name.toLowerCase()];
+        if (value !== undefined) {
+            return { label: label.name, points: value };
+        }
+
+        for (const pattern of rules.patterns) {
+            const regex = compilePattern(pattern);
+            const match = regex && name.match(regex);
+            if (!match) continue;
+            const digits = match[1] ?? name.match(/\d+/)?.[0];
+            if (digits !== undefined) {
+                return { label: label.name, points: parseInt(digits, 10) };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Calculate an issue's points from its labels
+ * Bonuses and multipliers only apply on top of a base value, so a "bug" label
+ * alone never turns an issue into a points task
+ * @param {Array} labels - Array of label objects
+ * @param {Object} rules - pointsRules section of projects.json
+ * @param {Object} project - Project configuration, used for overrides
+ * @returns {Object} { points, breakdown } breakdown steps are
+ *   { type: 'base' | 'bonus', label, points }, { type: 'multiplier', label, factor }
+ *   and { type: 'cap', cap }
+ */
+export function evaluatePoints(labels, rules = {}, project = null) {
+    if (!labels || !labels.length) return { points: 0, breakdown: [] };
+
+    const resolved = resolvePointsRules(rules, project);
+    const base = findBasePoints(labels, resolved);
+    if (!base) return { points: 0, breakdown: [] };
+
+    const breakdown = [{ type: 'base', ...base }];
+    let points = base.points;
+
+    labels.forEach(label => {
+        const bonus = resolved.bonuses[label.name.trim().toLowerCase()];
+        if (bonus !== undefined && label.name !== base.label) {
+            breakdown.push({ type: 'bonus', label: label.name, points: bonus });
+            points += bonus;
+        }
+    });
+
+    labels.forEach(label => {
+        const factor = resolved.multipliers[label.name.trim().toLowerCase()];
+        if (factor !== undefined) {
+            breakdown.push({ type: 'multiplier', label: label.name, factor });
+            points *= factor;
+        }
+    });
+
+    points = Math.round(points);
+
+    if (resolved.cap !== null && points > resolved.cap) {
+        breakdown.push({ type: 'cap', cap: resolved.cap });
+        points = resolved.cap;
+    }
+
+    return { points: Math.max(points, 0), breakdown };
+}
+
+/**
+ * Describe a breakdown step for display
+ * @param {Object} step - Step from evaluatePoints
+ * @returns {string}
+ */
+export function describePointsStep(step) {
+    switch (step.type) {
+        case 'base':
+            return `${step.points} نقطة من وسم "${step.label}"`;
+        case 'bonus':
+            return `${step.points >= 0 ? '+' : ''}${step.points} مكافأة من وسم "${step.label}"`;
+        case 'multiplier':
+            return `×${step.factor} من وسم "${step.label}"`;
+        case 'cap':
+            return `الحد الأقصى ${step.cap} نقطة`;
+        default:
+            return '';
+    }
+}
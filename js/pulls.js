@@ -0,0 +1,126 @@
+/**
+ * Pulls Module
+ * Loads the details shown in the PR modal and sums up reviews and checks
+ */
+
+import { fetchPullRequest, fetchPullReviews, fetchPullCommits, fetchCommitStatus, fetchCheckRuns } from './api.js';
+
+// Check run conclusions that do not block a PR
+const PASSING_CONCLUSIONS = ['success', 'neutral', 'skipped'];
+
+/**
+ * @param {Object} pull - PR from the pulls or issues endpoint
+ * @returns {string} 'merged', 'closed', 'draft' or 'open'
+ */
+export function getPullState(pull) {
+    if (pull.merged_at || pull.merged) return 'merged';
+    if (pull.state === 'closed') return 'closed';
+    return pull.draft ? 'draft' : 'open';
+}
+
+/**
+ * Work out the review decision the way GitHub shows it
+ * Each reviewer counts with their latest approval or change request, a later comment
+ * does not replace it and a re-requested review puts the reviewer back to pending
+ * @param {Array} reviews - Items from fetchPullReviews, oldest first
+ * @param {Object} pull - From fetchPullRequest
+ * @returns {Object} { decision, reviews, requested } decision is 'approved',
+ *   'changes_requested', 'review_required' or 'none', reviews holds one review per reviewer,
+ *   requested the requested users and teams
+ */
+export function summarizeReviews(reviews, pull) {
+    const latest = new Map();
+    reviews.filter(review => review.user && review.state !== 'PENDING').forEach(review => {
+        const previous = latest.get(review.user.login);
+        if (review.state === 'COMMENTED' && previous && previous.state !== 'COMMENTED') return;
+        latest.set(review.user.login, review);
+    });
+
+    const requested = [
+        ...(pull.requested_reviewers || []).map(user => ({ name: user.login, html_url: user.html_url })),
+        ...(pull.requested_teams || []).map(team => ({ name: team.slug, html_url: team.html_url }))
+    ];
+    const pending = new Set((pull.requested_reviewers || []).map(user => user.login));
+    const states = Array.from(latest.values())
+        .filter(review => !pending.has(review.user.login))
+        .map(review => review.state);
+
+    let decision = 'none';
+    if (states.includes('CHANGES_REQUESTED')) {
+        decision = 'changes_requested';
+    } else if (states.includes('APPROVED')) {
+        decision = 'approved';
+    } else if (requested.length > 0) {
+        decision = 'review_required';
+    }
+
+    return { decision, reviews: Array.from(latest.values()), requested };
+}
+
+/**
+ * Merge commit statuses and check runs into one list
+ * @param {Object} status - From fetchCommitStatus
+ * @param {Array} checkRuns - From fetchCheckRuns
+ * @returns {Object} { state, checks: [{ name, state, description, url }] } states are
+ *   'success', 'failure' or 'pending', the overall state is 'none' without any checks
+ */
+export function summarizeChecks(status, checkRuns) {
+    const checks = [
+        ...(status.statuses || []).map(s => ({
+            name: s.context,
+            state: s.state === 'error' ? 'failure' : s.state,
+            description: s.description || '',
+            url: s.target_url
+        })),
+        ...checkRuns.map(run => ({
+            name: run.name,
+            state: run.status !== 'completed'
+                ? 'pending'
+                : PASSING_CONCLUSIONS.includes(run.conclusion) ? 'success' : 'failure',
+            description: run.output?.title || run.conclusion || '',
+            url: run.html_url
+        }))
+    ];
+
+    let state = 'none';
+    if (checks.some(c => c.state === 'failure')) {
+        state = 'failure';
+    } else if (checks.some(c => c.state === 'pending')) {
+        state = 'pending';
+    } else if (checks.length > 0) {
+        state = 'success';
+    }
+
+    return { state, checks };
+}
+
+/**
+ * Load everything the PR modal shows
+ * Costs four to five requests, responses are cached like every other request
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<Object|null>} { pull, reviews, checks, commits } with reviews from
+ *   summarizeReviews and checks from summarizeChecks, null when the PR could not be loaded.
+ *   reviews, checks and commits are null on their own when only that part failed
+ */
+export async function fetchPullDetails(owner, repo, pullNumber) {
+    const [pull, reviews, commits] = await Promise.all([
+        fetchPullRequest(owner, repo, pullNumber),
+        fetchPullReviews(owner, repo, pullNumber),
+        fetchPullCommits(owner, repo, pullNumber)
+    ]);
+    if (!pull) return null;
+
+    const [status, checkRuns] = await Promise.all([
+        fetchCommitStatus(owner, repo, pull.head.sha),
+        fetchCheckRuns(owner, repo, pull.head.sha)
+    ]);
+
+    return {
+        pull,
+        reviews: reviews.ok ? summarizeReviews(reviews.items, pull) : null,
+        checks: status && checkRuns ? summarizeChecks(status, checkRuns) : null,
+        commits: commits.ok ? commits.items : null
+    };
+}
@@ -0,0 +1,342 @@
+/**
+ * Render Module
+ * Safe HTML for text that comes from GitHub: escaping, URL checks and markdown
+ */
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+};
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes
+ * @param {*} value - Text, null and undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Check a URL before it goes into an href or src
+ * Allows http, https and mailto links plus relative ones, anything else
+ * (javascript:, data:, vbscript: ...) is dropped
+ * @param {string} url - URL from GitHub content
+ * @returns {string} The URL, or '' when it is not safe
+ */
+export function sanitizeUrl(url) {
+    const trimmed = String(url ?? '').trim();
+    // Browsers ignore control characters and whitespace inside a scheme
+    const compact = trimmed.replace(/[\u0000- \u007f]/g, '');
+    if (/^(https?:|mailto:)/i.test(compact)) return trimmed;
+    if (/^[a-z][a-z\d+.-]*:/i.test(compact)) return '';
+    return trimmed;
+}
+
+/**
+ * Sanitize a URL and escape it for an href or src attribute
+ * @param {string} url - URL from GitHub content
+ * @returns {string}
+ */
+export function escapeUrl(url) {
+    return escapeHtml(sanitizeUrl(url));
+}
+
+/**
+ * Check a label color before it goes into a style attribute
+ * @param {string} color - Hex color without "#", as GitHub returns it
+ * @returns {string} The color, or '' when it is not a hex color
+ */
+export function sanitizeColor(color) {
+    return /^[\da-f]{6}$/i.test(color || '') ? color : '';
+}
+
+/**
+ * Badge for a GitHub label in the label's own color
+ * @param {Object} label - { name, color }
+ * @returns {string} HTML
+ */
+export function renderLabel(label) {
+    const color = sanitizeColor(label.color);
+    const style = color ? ` style="background-color: #${color}20; color: #${color}; border-color: #${color}50"` : '';
+    return `<span class="badge badge-secondary"${style}>${escapeHtml(label.name)}</span>`;
+}
+
+/**
+ * Build an external link
+ * @param {string} url - Link target, dropped when unsafe
+ * @param {string} html - Already safe link content
+ * @param {string} className - Optional class
+ * @returns {string} HTML
+ */
+function link(url, html, className = 'text-primary hover:underline') {
+    const href = sanitizeUrl(url);
+    if (!href) return html;
+    return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer" class="${className}">${html}</a>`;
+}
+
+// ---------- Inline ----------
+
+// Placeholders keep finished HTML out of the way of later replacements
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+function renderInline(text, context, stash) {
+    const hold = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let result = text
+        // Code spans
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`))
+        // Images
+        .replace(/!\[([^\]]*)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt, url) => {
+            const src = sanitizeUrl(url);
+            if (!/^https?:/i.test(src)) return hold(escapeHtml(alt));
+            return hold(`<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}" loading="lazy" referrerpolicy="no-referrer">`);
+        })
+        // Links, their text can hold emphasis and code
+        .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (_, label, url) => (
+            hold(link(url, renderInline(label, { ...context, noLinks: true }, stash)))
+        ))
+        // Autolinks and bare URLs
+        .replace(/<(https?:\/\/[^>\s]+)>/g, (_, url) => hold(link(url, escapeHtml(url))))
+        .replace(/\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]]/g, url => hold(context.noLinks ? escapeHtml(url) : link(url, escapeHtml(url))));
+
+    result = escapeHtml(result)
+        // Bold, italic and strikethrough
+        .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    if (!context.noLinks) {
+        result = result
+            // @mentions
+            .replace(/(^|[^\w&/])@([a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38})\b/gi, (_, before, login) => (
+                `${before}${link(`https://github.com/${login}`, `@${login}`, 'mention')}`
+            ))
+            // #123 and owner/repo#123, "&#39;" style entities are skipped
+            .replace(/(^|[^\w&/])(?:([\w.-]+)\/([\w.-]+))?#(\d+)\b/g, (match, before, owner, repo, number) => {
+                const target = owner ? `${owner}/${repo}` : context.owner && `${context.owner}/${context.repo}`;
+                if (!target) return match;
+                const text = owner ? `${owner}/${repo}#${number}` : `#${number}`;
+                return `${before}${link(`https://github.com/${target}/issues/${number}`, text, 'issue-ref')}`;
+            });
+    }
+
+    return result;
+}
+
+function restore(html, stash) {
+    while (html.includes('\u0000')) {
+        html = html.replace(PLACEHOLDER, (_, index) => stash[index]);
+    }
+    return html;
+}
+
+// ---------- Blocks ----------
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+}
+
+function isBlockStart(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line)
+        || LIST_ITEM.test(line) || isTableStart(lines, i);
+}
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-');
+}
+
+function splitRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderTable(lines, start, context, stash) {
+    const header = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return '';
+    });
+    const cell = (tag, text, index) => {
+        const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+        return `<${tag}${align}>${renderInline(text, context, stash)}</${tag}>`;
+    };
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(`<tr>${header.map((_, index) => cell('td', cells[index] || '', index)).join('')}</tr>`);
+        i++;
+    }
+
+    const html = `<table><thead><tr>${header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>`
+        + `<tbody>${rows.join('')}</tbody></table>`;
+    return { html, next: i };
+}
+
+function renderList(lines, start, context, stash) {
+    const first = lines[start].match(LIST_ITEM);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) break;
+
+        // Continuation lines are indented past the marker
+        const contentIndent = baseIndent + match[2].length + 1;
+        const content = [lines[i].slice(match[0].length)];
+        i++;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (!line.trim()) {
+                // A blank line only continues the item when indented content follows
+                const nextLine = lines[i + 1];
+                if (nextLine !== undefined && nextLine.trim() && indentOf(nextLine) >= contentIndent) {
+                    content.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+            if (indentOf(line) < contentIndent && (LIST_ITEM.test(line) || isBlockStart(lines, i))) break;
+            content.push(indentOf(line) >= contentIndent ? line.replace(/^\s+/, ' '.repeat(indentOf(line) - contentIndent)) : line.trim());
+            i++;
+        }
+        items.push(content);
+
+        // A single blank line between items keeps the list going
+        if (!lines[i]?.trim() && lines[i + 1] !== undefined && LIST_ITEM.test(lines[i + 1])
+            && indentOf(lines[i + 1].match(LIST_ITEM)[1]) === baseIndent) {
+            i++;
+        }
+    }
+
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+    const html = items.map(content => {
+        let task = '';
+        const taskMatch = content[0].match(/^\[([ xX])\]\s+/);
+        if (taskMatch) {
+            task = `<input type="checkbox" disabled ${taskMatch[1] !== ' ' ? 'checked' : ''}> `;
+            content[0] = content[0].slice(taskMatch[0].length);
+        }
+        // Tight items render without a paragraph around their text
+        const body = renderBlocks(content, context, stash).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        return `<li${task ? ' class="task-list-item"' : ''}>${task}${body}</li>`;
+    }).join('');
+
+    return { html: `<${tag}${startAttr}>${html}</${tag}>`, next: i };
+}
+
+function renderBlocks(lines, context, stash) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2], context, stash)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted, context, stash)}</blockquote>`);
+            continue;
+        }
+
+        if (isTableStart(lines, i)) {
+            const table = renderTable(lines, i, context, stash);
+            html.push(table.html);
+            i = table.next;
+            continue;
+        }
+
+        if (LIST_ITEM.test(line) && line.match(LIST_ITEM)[3]) {
+            const list = renderList(lines, i, context, stash);
+            html.push(list.html);
+            i = list.next;
+            continue;
+        }
+
+        // Paragraph, single line breaks are kept as GitHub does in comments
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines, i)) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${paragraph.map(text => renderInline(text, context, stash)).join('<br>')}</p>`);
+    }
+
+    return html.join('');
+}
+
+/**
+ * Render GitHub flavored markdown to safe HTML
+ * Raw HTML in the source is shown as text, links are checked with sanitizeUrl
+ * @param {string} text - Markdown from an issue, PR or comment
+ * @param {Object} context - { owner, repo } to link bare #123 references
+ * @returns {string} HTML
+ */
+export function renderMarkdown(text, context = {}) {
+    if (!text) return '';
+    const stash = [];
+    const lines = String(text).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    return restore(renderBlocks(lines, context, stash), stash);
+}
@@ -0,0 +1,126 @@
+/**
+ * Router Module
+ * Mirrors the view state in the URL query so views can be shared as links
+ * and navigated with the browser's Back and Forward buttons
+ */
+
+import { defaultFilters } from './filters.js';
+
+/**
+ * Parse "owner/repo/123" into an issue reference
+ * @param {string|null} value - Query value
+ * @returns {Object|null} { owner, repo, number }
+ */
+function parseIssueRef(value) {
+    const match = value?.match(/^([^/]+)\/([^/]+)\/(\d+)$/);
+    if (!match) return null;
+    return { owner: match[1], repo: match[2], number: parseInt(match[3], 10) };
+}
+
+/**
+ * Parse "assigned:2026-02-03" into a heatmap day reference
+ * @param {string|null} value - Query value
+ * @returns {Object|null} { type, date }
+ */
+function parseDayRef(value) {
+    const match = value?.match(/^(\w+):(\d{4}-\d{2}-\d{2})$/);
+    if (!match) return null;
+    return { type: match[1], date: match[2] };
+}
+
+// Multi-value filters such as labels repeat their key once per value, since
+// label names may contain commas
+function serializeFilter(value) {
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+function parseFilter(key, params) {
+    return Array.isArray(defaultFilters[key]) ? params.getAll(key).filter(Boolean) : params.get(key);
+}
+
+function isSameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+/**
+ * Read the view state from the current URL
+ * Filters missing from the query keep their defaults, so only known keys are returned
+ * @returns {Object} { tab, campaign, filters, expanded, issue, day, contributor }
+ */
+export function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+
+    const filters = {};
+    Object.keys(defaultFilters).forEach(key => {
+        if (params.has(key)) filters[key] = parseFilter(key, params);
+    });
+
+    return {
+        tab: params.get('tab'),
+        campaign: params.get('campaign'),
+        filters,
+        expanded: params.get('expanded') ? params.get('expanded').split(',') : [],
+        issue: parseIssueRef(params.get('issue')),
+        day: parseDayRef(params.get('day')),
+        contributor: params.get('contributor')
+    };
+}
+
+/**
+ * Build the query string for a view, leaving out everything that matches the defaults
+ * @param {Object} view - { tab, campaign, filters, expanded, issue, day, contributor }
+ * @param {Object} defaults - { tab, campaign, filters } the view a plain link opens
+ * @returns {string} Query string including the leading "?", or "" for the default view
+ */
+export function buildQuery(view, defaults) {
+    const params = new URLSearchParams();
+
+    if (view.tab && view.tab !== defaults.tab) params.set('tab', view.tab);
+    if (view.campaign && view.campaign !== defaults.campaign) params.set('campaign', view.campaign);
+
+    Object.keys(defaultFilters).forEach(key => {
+        if (view.filters[key] === undefined) return;
+        const values = serializeFilter(view.filters[key]);
+        if (isSameList(values, serializeFilter(defaults.filters[key]))) return;
+
+        // An empty key keeps an emptied list from falling back to a non-empty default
+        if (values.length === 0) params.append(key, '');
+        values.forEach(value => params.append(key, value));
+    });
+
+    if (view.expanded?.length > 0) params.set('expanded', view.expanded.join(','));
+    if (view.day) params.set('day', `${view.day.type}:${view.day.date}`);
+    if (view.contributor) params.set('contributor', view.contributor);
+    if (view.issue) params.set('issue', `${view.issue.owner}/${view.issue.repo}/${view.issue.number}`);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Write a view to the URL
+ * @param {Object} view - See buildQuery
+ * @param {Object} defaults - See buildQuery
+ * @param {Object} options - { push } adds a history entry instead of replacing the current one,
+ *                           { modal } marks the entry as opened by a modal so closing it can go Back
+ */
+export function updateUrl(view, defaults, { push = false, modal = null } = {}) {
+    const url = `${window.location.pathname}${buildQuery(view, defaults)}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}` && !modal) return;
+
+    const historyState = modal ? { modal } : null;
+    if (push) {
+        history.pushState(historyState, '', url);
+    } else {
+        history.replaceState(historyState, '', url);
+    }
+}
+
+/**
+ * Check whether the current history entry was added by opening a modal
+ * @param {string} modal - 'issue', 'day' or 'contributor'
+ * @returns {boolean}
+ */
+export function isModalEntry(modal) {
+    return history.state?.modal === modal;
+}
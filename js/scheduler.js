@@ -0,0 +1,192 @@
+/**
+ * Request Scheduler Module
+ * Queues GitHub API requests, limits concurrency and tracks rate limit headers
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_RETRIES = 3;
+
+// Backoff used for secondary rate limits that do not send Retry-After,
+// GitHub asks clients to wait at least a minute before retrying
+const BASE_RETRY_DELAY_MS = 60000;
+const MAX_RETRY_DELAY_MS = 5 * 60000;
+
+const queue = [];
+let activeCount = 0;
+let concurrency = DEFAULT_CONCURRENCY;
+
+// Requests are held back until this timestamp after a secondary rate limit
+let pausedUntil = 0;
+
+// Latest rate limit state per GitHub resource ("core", "graphql", ...)
+const rateLimits = new Map();
+const listeners = new Set();
+
+/**
+ * Apply scheduler settings
+ * @param {Object} options - { concurrency }
+ */
+export function configureScheduler(options = {}) {
+    if (options.concurrency > 0) {
+        concurrency = options.concurrency;
+    }
+}
+
+/**
+ * Get the last known rate limit state
+ * @param {string} resource - GitHub rate limit resource
+ * @returns {Object|null} { limit, remaining, used, reset, pausedUntil }
+ */
+export function getRateLimit(resource = 'core') {
+    const limit = rateLimits.get(resource);
+    if (!limit) return null;
+    return {
+        ...limit,
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil) : null
+    };
+}
+
+/**
+ * Check whether the primary quota is used up until its reset time
+ * @param {string} resource - GitHub rate limit resource
+ * @returns {boolean}
+ */
+export function isQuotaExhausted(resource = 'core') {
+    const limit = rateLimits.get(resource);
+    if (!limit || limit.remaining > 0) return false;
+    return !!limit.reset && limit.reset.getTime() > Date.now();
+}
+
+/**
+ * Subscribe to rate limit updates
+ * @param {Function} listener - Called with no arguments after every change
+ * @returns {Function} Unsubscribe function
+ */
+export function onRateLimitChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notify() {
+    listeners.forEach(listener => listener());
+}
+
+/**
+ * Queue a fetch against the GitHub API
+ * Secondary rate limit responses are retried with backoff, everything else
+ * (including primary quota exhaustion) is returned to the caller
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch init options
+ * @returns {Promise<Response>}
+ */
+export function scheduleFetch(url, init = {}) {
+    return new Promise((resolve, reject) => {
+        queue.push({ url, init, resolve, reject });
+        pump();
+    });
+}
+
+/**
+ * Run async tasks with at most `limit` of them in flight
+ * Unlike scheduleFetch this limits whole tasks, so a long list of lookups does not fill
+ * the request queue ahead of requests made in the meantime
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} limit - Maximum number of tasks running at the same time
+ * @returns {Promise<void>} Resolves when every task has settled
+ */
+export async function runLimited(tasks, limit) {
+    let next = 0;
+    const worker = async () => {
+        while (next < tasks.length) {
+            const task = tasks[next++];
+            try {
+                await task();
+            } catch (error) {
+                console.error('Queued task failed:', error);
+            }
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+}
+
+function pump() {
+    while (activeCount < concurrency && queue.length > 0) {
+        const job = queue.shift();
+        activeCount++;
+        runJob(job)
+            .then(job.resolve, job.reject)
+            .finally(() => {
+                activeCount--;
+                pump();
+            });
+    }
+}
+
+async function runJob({ url, init }) {
+    for (let attempt = 0; ; attempt++) {
+        const wait = pausedUntil - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        const response = await fetch(url, init);
+        updateRateLimit(response.headers);
+
+        if (attempt >= MAX_RETRIES || !await isSecondaryRateLimit(response)) {
+            return response;
+        }
+
+        const delay = getRetryDelay(response, attempt);
+        console.warn(`Secondary rate limit hit, retrying ${url} in ${Math.round(delay / 1000)}s`);
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        notify();
+    }
+}
+
+function updateRateLimit(headers) {
+    const remaining = headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+
+    const reset = headers.get('X-RateLimit-Reset');
+    const resource = headers.get('X-RateLimit-Resource') || 'core';
+
+    rateLimits.set(resource, {
+        limit: parseInt(headers.get('X-RateLimit-Limit'), 10) || null,
+        remaining: parseInt(remaining, 10),
+        used: parseInt(headers.get('X-RateLimit-Used'), 10) || 0,
+        reset: reset ? new Date(parseInt(reset, 10) * 1000) : null
+    });
+    notify();
+}
+
+/**
+ * Secondary limits come back as 403/429 while the primary quota still has
+ * requests left, or with an explicit Retry-After header
+ * A 403 is also used for missing permissions, so without Retry-After it only
+ * counts when the error message says so, read from a clone to leave the body to the caller
+ */
+async function isSecondaryRateLimit(response) {
+    if (response.status !== 403 && response.status !== 429) return false;
+    if (response.headers.get('Retry-After')) return true;
+
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === '0') return false;
+    if (response.status === 429) return true;
+
+    try {
+        const body = await response.clone().text();
+        return /secondary rate limit|abuse detection/i.test(body);
+    } catch {
+        return false;
+    }
+}
+
+function getRetryDelay(response, attempt) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+    }
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
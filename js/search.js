@@ -0,0 +1,248 @@
+/**
+ * Search Module
+ * Ranked search over every fetched issue and PR, opened with "/" or Ctrl+K
+ */
+
+import { escapeHtml } from './render.js';
+
+const MAX_RESULTS = 20;
+
+// Field weights, a token found in several fields only counts its best one
+const WEIGHTS = {
+    number: 20,
+    title: 10,
+    labels: 6,
+    users: 6,
+    body: 1
+};
+
+let backdropEl, modalEl, inputEl, resultsEl;
+let getProjects = () => [];
+let onSelect = () => {};
+let indexedProjects = null;
+let searchIndex = [];
+let results = [];
+let activeIndex = 0;
+
+/**
+ * Normalize text for matching
+ * Lowercases, strips Arabic diacritics and tatweel, unifies alef/hamza,
+ * yaa and taa marbuta variants and converts Arabic-Indic digits
+ * @param {string} text - Text to normalize
+ * @returns {string}
+ */
+export function normalizeArabic(text) {
+    if (!text) return '';
+    return text
+        .toLowerCase()
+        .replace(/[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g, '')
+        .replace(/[أإآٱ]/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+}
+
+/**
+ * Build the search index for a list of projects
+ * @param {Array} projects - Projects with issues and prs
+ * @returns {Array} Index entries { item, owner, repo, projectName, isPR, fields }
+ */
+export function buildSearchIndex(projects) {
+    return projects.flatMap(project => [
+        ...project.issues.map(item => ({ item, isPR: false })),
+        ...(project.prs || []).map(item => ({ item, isPR: true }))
+    ].map(({ item, isPR }) => ({
+        item,
+        isPR,
+        owner: project.owner,
+        repo: project.repo,
+        projectName: project.name,
+        fields: {
+            number: String(item.number),
+            title: normalizeArabic(item.title),
+            labels: normalizeArabic((item.labels || []).map(l => l.name).join(' ')),
+            users: normalizeArabic([
+                item.user?.login,
+                ...(item.assignees || []).map(a => a.login),
+                item.assignee?.login
+            ].filter(Boolean).join(' ')),
+            body: normalizeArabic(item.body)
+        }
+    })));
+}
+
+function scoreToken(fields, token) {
+    const number = token.replace(/^#/, '');
+    if (/^\d+$/.test(number) && fields.number === number) return WEIGHTS.number;
+
+    let best = 0;
+    ['title', 'labels', 'users', 'body'].forEach(field => {
+        const text = fields[field];
+        const position = text.indexOf(token);
+        if (position === -1) return;
+        // Matches at the start of a word rank above matches inside one
+        const atWordStart = position === 0 || /[^\p{L}\p{N}]/u.test(text[position - 1]);
+        const score = WEIGHTS[field] * (atWordStart ? 1 : 0.5);
+        best = Math.max(best, score);
+    });
+    return best;
+}
+
+/**
+ * Search the index, every query word has to match somewhere
+ * @param {Array} index - From buildSearchIndex
+ * @param {string} query - User input
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Index entries with a score, best first
+ */
+export function searchIndexEntries(index, query, limit = MAX_RESULTS) {
+    const tokens = normalizeArabic(query).split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+
+    const matches = [];
+    index.forEach(entry => {
+        let score = 0;
+        for (const token of tokens) {
+            const tokenScore = scoreToken(entry.fields, token);
+            if (tokenScore === 0) return;
+            score += tokenScore;
+        }
+        // Open items first among equal matches
+        if (entry.item.state === 'open') score += 0.5;
+        matches.push({ ...entry, score });
+    });
+
+    return matches
+        .sort((a, b) => b.score - a.score || new Date(b.item.created_at) - new Date(a.item.created_at))
+        .slice(0, limit);
+}
+
+/**
+ * Wire up the search dialog
+ * @param {Object} options - { getProjects } returns the current projects,
+ *                           { onSelect } callback(item, owner, repo)
+ */
+export function initSearch(options) {
+    backdropEl = document.getElementById('search-backdrop');
+    modalEl = document.getElementById('search-modal');
+    inputEl = document.getElementById('search-input');
+    resultsEl = document.getElementById('search-results');
+    getProjects = options.getProjects;
+    onSelect = options.onSelect;
+
+    document.getElementById('btn-search')?.addEventListener('click', openSearch);
+    backdropEl?.addEventListener('click', closeSearch);
+    inputEl?.addEventListener('input', () => {
+        activeIndex = 0;
+        runSearch();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        const isOpen = modalEl?.classList.contains('active');
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            isOpen ? closeSearch() : openSearch();
+            return;
+        }
+
+        if (e.key === '/' && !isOpen && !isTyping(e.target)) {
+            e.preventDefault();
+            openSearch();
+            return;
+        }
+
+        if (!isOpen) return;
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeSearch();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeIndex = (activeIndex + step + results.length) % Math.max(results.length, 1);
+            renderResults();
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            selectResult(results[activeIndex]);
+        }
+    });
+}
+
+function isTyping(target) {
+    return target instanceof HTMLElement
+        && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+export function openSearch() {
+    // Rebuild the index when the data was refreshed since the last search
+    const projects = getProjects();
+    if (projects !== indexedProjects) {
+        indexedProjects = projects;
+        searchIndex = buildSearchIndex(projects);
+    }
+
+    backdropEl?.classList.add('active');
+    modalEl?.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    inputEl.value = '';
+    activeIndex = 0;
+    runSearch();
+    inputEl.focus();
+}
+
+export function closeSearch() {
+    backdropEl?.classList.remove('active');
+    modalEl?.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+function selectResult(result) {
+    closeSearch();
+    onSelect(result.item, result.owner, result.repo);
+}
+
+function runSearch() {
+    results = searchIndexEntries(searchIndex, inputEl.value);
+    renderResults();
+}
+
+function renderResults() {
+    if (!resultsEl) return;
+
+    if (!inputEl.value.trim()) {
+        resultsEl.innerHTML = `<p class="search-hint">ابحث بالعنوان أو الرقم أو الوسم أو اسم المستخدم</p>`;
+        return;
+    }
+
+    if (results.length === 0) {
+        resultsEl.innerHTML = `<p class="search-hint">لا توجد نتائج مطابقة</p>`;
+        return;
+    }
+
+    resultsEl.innerHTML = results.map((result, index) => `
+        <div class="search-result ${index === activeIndex ? 'active' : ''}" data-index="${index}">
+            <i data-lucide="${result.isPR ? 'git-pull-request' : 'circle-dot'}" class="w-4 h-4 ${result.item.state === 'open' ? 'text-primary' : 'text-muted-foreground'}"></i>
+            <div class="search-result-info">
+                <div class="search-result-title truncate">${escapeHtml(result.item.title)}</div>
+                <div class="search-result-meta">${escapeHtml(result.projectName)} #${result.item.number}</div>
+            </div>
+            ${result.item.points > 0 ? `<span class="badge badge-points">${result.item.points}</span>` : ''}
+        </div>
+    `).join('');
+
+    if (window.lucide) window.lucide.createIcons();
+
+    resultsEl.querySelectorAll('.search-result').forEach(el => {
+        el.addEventListener('click', () => selectResult(results[el.dataset.index]));
+        el.addEventListener('mousemove', () => {
+            if (activeIndex === Number(el.dataset.index)) return;
+            activeIndex = Number(el.dataset.index);
+            resultsEl.querySelectorAll('.search-result').forEach(r => r.classList.toggle('active', r === el));
+        });
+    });
+
+    resultsEl.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+}
@@ -0,0 +1,193 @@
+/**
+ * Snapshots Module
+ * Keeps a daily copy of the campaign standings so movement can be shown over time
+ */
+
+import { STORES, dbGetAll, dbPut } from './db.js';
+import { calculateGlobalStats, buildContributorLeaderboard } from './filters.js';
+
+// Totals plotted by the trends panel
+export const TREND_SERIES = [
+    { key: 'collectedPoints', title: 'النقاط المحصلة' },
+    { key: 'closedSince', title: 'المهام المغلقة' },
+    { key: 'mergedPRs', title: 'طلبات السحب المدمجة' },
+    { key: 'open', title: 'المهام المفتوحة' }
+];
+
+function toDateKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Capture the current standings
+ * Only totals are kept, ranks depend on the sorting and audit exclusions of the view
+ * @param {Array} projects - Projects from fetchAllProjectsData
+ * @param {Object} window - Campaign window { start, end }
+ * @param {string} campaignId - Campaign the data belongs to
+ * @param {Object} settings - Settings from projects.json, for point attribution
+ * @returns {Object} Snapshot { id, campaign, date, takenAt, global, projects, contributors }
+ */
+export function buildSnapshot(projects, window, campaignId, settings = {}) {
+    const now = new Date();
+    const date = toDateKey(now);
+
+    const contributors = buildContributorLeaderboard(projects, window, 'points', settings);
+
+    return {
+        id: `${campaignId}:${date}`,
+        campaign: campaignId,
+        date,
+        takenAt: now.toISOString(),
+        global: calculateGlobalStats(projects, window),
+        projects: projects.map(project => ({
+            id: project.id,
+            name: project.name,
+            open: project.stats.open,
+            closed: project.stats.closed,
+            points: project.stats.points
+        })),
+        contributors: contributors.map(contributor => ({
+            username: contributor.username,
+            points: contributor.totalPoints,
+            closed: contributor.closedCount
+        }))
+    };
+}
+
+/**
+ * Store a snapshot, a later snapshot on the same day replaces the earlier one
+ * @param {Object} snapshot - From buildSnapshot
+ * @returns {Promise<*>}
+ */
+export function saveSnapshot(snapshot) {
+    return dbPut(STORES.snapshots, snapshot);
+}
+
+/**
+ * Stored snapshots of a campaign, oldest first
+ * @param {string} campaignId - Campaign id
+ * @returns {Promise<Array>}
+ */
+export async function getSnapshots(campaignId) {
+    const snapshots = await dbGetAll(STORES.snapshots);
+    return snapshots
+        .filter(s => s.campaign === campaignId)
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Compare the current standings with the latest snapshot from an earlier day
+ * @param {Object} current - From buildSnapshot
+ * @param {Array} snapshots - From getSnapshots
+ * @returns {Object|null} { since, projects: Map(id), contributors: Map(username) } with
+ *   { isNew, pointsDelta, closedDelta } entries, isNew when the entry is missing from the
+ *   earlier snapshot; null when there is no earlier snapshot
+ */
+export function compareWithPrevious(current, snapshots) {
+    const previous = snapshots.filter(s => s.date < current.date).pop();
+    if (!previous) return null;
+
+    const diff = (entries, previousEntries, key) => {
+        const before = new Map(previousEntries.map(e => [e[key], e]));
+        return new Map(entries.map(entry => {
+            const old = before.get(entry[key]);
+            return [entry[key], {
+                isNew: !old,
+                pointsDelta: Math.round((entry.points - (old?.points || 0)) * 100) / 100,
+                closedDelta: entry.closed - (old?.closed || 0)
+            }];
+        }));
+    };
+
+    return {
+        since: previous.date,
+        projects: diff(current.projects, previous.projects, 'id'),
+        contributors: diff(current.contributors, previous.contributors, 'username')
+    };
+}
+
+/**
+ * Serialize snapshots for a backup file
+ * @param {Array} snapshots - Snapshots to export
+ * @returns {string} JSON
+ */
+export function exportSnapshots(snapshots) {
+    return JSON.stringify(snapshots, null, 2);
+}
+
+function toNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+}
+
+function isDateKey(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Rebuild an imported snapshot from the fields buildSnapshot writes
+ * Values end up in the page, so numbers are coerced and names turned into strings
+ * @param {*} s - Entry from a backup file
+ * @returns {Object|null} Snapshot, null when the entry does not look like one
+ */
+function sanitizeSnapshot(s) {
+    if (!s || typeof s.campaign !== 'string' || !isDateKey(s.date) || !s.global
+        || !Array.isArray(s.projects) || !Array.isArray(s.contributors)) {
+        return null;
+    }
+
+    const takenAt = new Date(s.takenAt);
+    return {
+        id: `${s.campaign}:${s.date}`,
+        campaign: s.campaign,
+        date: s.date,
+        takenAt: Number.isNaN(takenAt.getTime()) ? `${s.date}T00:00:00.000Z` : takenAt.toISOString(),
+        global: Object.fromEntries(Object.entries(s.global).map(([key, value]) => [key, toNumber(value)])),
+        projects: s.projects.filter(Boolean).map(p => ({
+            id: String(p.id),
+            name: String(p.name ?? ''),
+            open: toNumber(p.open),
+            closed: toNumber(p.closed),
+            points: toNumber(p.points)
+        })),
+        contributors: s.contributors.filter(Boolean).map(c => ({
+            username: String(c.username),
+            points: toNumber(c.points),
+            closed: toNumber(c.closed)
+        }))
+    };
+}
+
+/**
+ * Store the snapshots from a backup file
+ * Entries that do not look like snapshots are skipped
+ * @param {string} text - File content from exportSnapshots
+ * @returns {Promise<number>} Number of snapshots imported
+ */
+export async function importSnapshots(text) {
+    let snapshots;
+    try {
+        snapshots = JSON.parse(text);
+    } catch (error) {
+        console.warn('Snapshot file is not valid JSON:', error);
+        return 0;
+    }
+    if (!Array.isArray(snapshots)) return 0;
+
+    const valid = snapshots.map(sanitizeSnapshot).filter(Boolean);
+
+    await Promise.all(valid.map(saveSnapshot));
+    return valid.length;
+}
+
+/**
+ * Values of each trend series over time
+ * @param {Array} snapshots - From getSnapshots, oldest first
+ * @returns {Array} [{ key, title, points: [{ date, value }] }]
+ */
+export function getTrendSeries(snapshots) {
+    return TREND_SERIES.map(series => ({
+        ...series,
+        points: snapshots.map(s => ({ date: s.date, value: toNumber(s.global[series.key]) }))
+    }));
+}
@@ -0,0 +1,445 @@
+/**
+ * Statistics Page Entry Point
+ * Breakdown charts built on the same data layer as the main dashboard
+ */
+
+import { loadConfig, fetchAllProjectsData, addCommentDetails, pruneResponseCache } from './api.js';
+import { getActiveCampaign, getCampaignWindow } from './campaigns.js';
+import { getRateLimit, isQuotaExhausted } from './scheduler.js';
+import { config } from './config.js';
+import { escapeHtml, escapeUrl } from './render.js';
+
+const PROJECT_COLORS = [
+    'bg-blue-500', 'bg-emerald-500', 'bg-amber-500', 'bg-purple-500',
+    'bg-pink-500', 'bg-rose-500', 'bg-indigo-500', 'bg-cyan-500',
+    'bg-teal-500', 'bg-fuchsia-500', 'bg-violet-500', 'bg-sky-500',
+    'bg-lime-500', 'bg-orange-500'
+];
+
+// Page State
+const state = {
+    config: null,
+    campaign: null,
+    window: null,
+    items: [],
+    loading: false,
+    projectFilter: 'all',
+    selectedCategory: null,
+    // Chart segments by chart index, used to resolve clicks
+    charts: []
+};
+
+async function init() {
+    const tokenInput = document.getElementById('token-input');
+    tokenInput.value = config.GITHUB_TOKEN;
+    tokenInput.addEventListener('change', () => {
+        config.GITHUB_TOKEN = tokenInput.value;
+    });
+
+    document.getElementById('btn-fetch').addEventListener('click', fetchData);
+    document.getElementById('btn-start').addEventListener('click', fetchData);
+    document.getElementById('projectFilter').addEventListener('change', (e) => {
+        state.projectFilter = e.target.value;
+        state.selectedCategory = null;
+        render();
+    });
+
+    try {
+        state.config = await loadConfig();
+        await pruneResponseCache(state.config.settings);
+        state.campaign = getActiveCampaign(state.config, config.CAMPAIGN_ID);
+        state.window = getCampaignWindow(state.campaign);
+    } catch (error) {
+        console.error('Failed to initialize:', error);
+        setProgress('تعذر تحميل إعدادات المشاريع.');
+        return;
+    }
+
+    const format = (date) => new Date(date).toLocaleDateString('ar-EG', { year: 'numeric', month: 'long', day: 'numeric' });
+    document.getElementById('campaign-range').textContent = state.campaign.end
+        ? `الفترة: ${format(state.campaign.start)} - ${format(state.campaign.end)}`
+        : `الفترة: منذ ${format(state.campaign.start)}`;
+    document.getElementById('repos-count').textContent = state.config.projects.length;
+
+    const projectFilter = document.getElementById('projectFilter');
+    projectFilter.innerHTML = `
+        <option value="all">جميع المشاريع (${state.config.projects.length})</option>
+        ${state.config.projects.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('')}
+    `;
+
+    render();
+}
+
+async function fetchData() {
+    if (state.loading || !state.config) return;
+
+    // Pick up a token typed without leaving the input
+    config.GITHUB_TOKEN = document.getElementById('token-input').value;
+
+    state.loading = true;
+    state.items = [];
+    state.selectedCategory = null;
+    setFetchButtonLoading(true);
+    setProgress('جاري جلب بيانات المشاريع...');
+    render();
+
+    try {
+        const projects = await fetchAllProjectsData(
+            state.config.projects,
+            state.config.settings,
+            state.window,
+            { pointsRules: state.config.pointsRules }
+        );
+
+        const items = projects.flatMap(project => [
+            ...project.issues.map(issue => ({ ...issue, isPR: false, repo_info: project })),
+            ...project.prs.map(pr => ({ ...pr, isPR: true, repo_info: project }))
+        ]);
+
+        // Track replies on issues with comments and on open PRs
+        // (the Pulls API does not report comment counts, so every open PR is checked).
+        // Items whose comments were not loaded keep no comment_details and are left out of the reply charts
+        const needsComments = items.filter(item => item.isPR ? item.state === 'open' : item.comments > 0);
+        items.filter(item => !needsComments.includes(item)).forEach(item => {
+            item.comment_details = { owner_replied: false, others_replied: false };
+        });
+        await addCommentDetails(
+            needsComments.map(item => ({ item, owner: item.repo_info.owner, repo: item.repo_info.repo })),
+            state.config.settings,
+            (done, total) => setProgress(`جاري تحليل التعليقات (${done}/${total})...`)
+        );
+
+        state.items = items;
+        renderRateLimitAlert(projects);
+        setProgress('تم الانتهاء بنجاح!');
+    } catch (error) {
+        console.error(error);
+        setProgress('توقف الجلب بسبب خطأ (ربما وصلت لحدود API).');
+    } finally {
+        state.loading = false;
+        setFetchButtonLoading(false);
+        render();
+        setTimeout(() => setProgress(''), 3000);
+    }
+}
+
+function setProgress(text) {
+    const progressEl = document.getElementById('progress');
+    document.getElementById('progress-text').textContent = text;
+    progressEl.classList.toggle('hidden', !text);
+}
+
+function setFetchButtonLoading(isLoading) {
+    const button = document.getElementById('btn-fetch');
+    button.disabled = isLoading;
+    button.innerHTML = isLoading
+        ? '<i data-lucide="refresh-cw" class="w-4 h-4 animate-spin"></i>'
+        : 'تحديث البيانات';
+    if (window.lucide) window.lucide.createIcons();
+}
+
+/**
+ * Explain why data is missing, the wording depends on whether the quota ran out,
+ * requests failed or lists only hit the page cap
+ */
+function renderRateLimitAlert(projects) {
+    const exhausted = ['core', 'graphql'].find(resource => isQuotaExhausted(resource));
+    const failed = projects.filter(p => p.incomplete === 'failed' || p.incomplete === 'stale');
+    const truncated = projects.filter(p => p.incomplete === 'truncated');
+    const alertEl = document.getElementById('rate-limit-alert');
+    alertEl.classList.toggle('hidden', !exhausted && failed.length === 0 && truncated.length === 0);
+
+    let title;
+    let message;
+    if (exhausted) {
+        title = 'تم الوصول للحد الأقصى لطلبات GitHub';
+        message = config.hasToken()
+            ? 'نفدت حصة الطلبات المتاحة لرمزك، ستكتمل البيانات بعد أن يتجدد الحد.'
+            : 'يسمح GitHub بـ 60 طلباً في الساعة للزوار. يرجى إضافة Personal Access Token في الخانة العلوية لإكمال التحليل.';
+    } else if (failed.length > 0) {
+        title = 'تعذر جلب بعض البيانات من GitHub';
+        message = 'فشلت بعض الطلبات، الأرقام المعروضة قد تكون ناقصة أو من نسخة محفوظة سابقاً. أعد المحاولة لاحقاً.';
+    } else {
+        title = 'بعض القوائم لم تُجلب بالكامل';
+        message = 'تم الوصول للحد الأقصى لعدد الصفحات، قد تكون بعض المهام غير محسوبة.';
+    }
+    document.getElementById('rate-limit-title').textContent = title;
+    document.getElementById('rate-limit-message').textContent = message;
+
+    const rateLimit = exhausted && getRateLimit(exhausted);
+    const lines = [];
+    if (failed.length > 0) lines.push(`تعذر جلبها: ${failed.map(p => p.name).join('، ')}.`);
+    if (truncated.length > 0) lines.push(`مقطوعة عند حد الصفحات: ${truncated.map(p => p.name).join('، ')}.`);
+    if (rateLimit?.reset) {
+        lines.push(`يتجدد الحد الساعة ${rateLimit.reset.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })}.`);
+    }
+    document.getElementById('rate-limit-projects').textContent = lines.join(' ');
+}
+
+function getFilteredItems() {
+    if (state.projectFilter === 'all') return state.items;
+    return state.items.filter(item => item.repo_info.id === state.projectFilter);
+}
+
+function sumPoints(items) {
+    return items.reduce((sum, item) => sum + item.points, 0);
+}
+
+/**
+ * Group items into the chart segments shown on the page
+ */
+function calculateStats(items) {
+    const issues = items.filter(item => !item.isPR);
+    const prs = items.filter(item => item.isPR);
+    const issuesWithPoints = issues.filter(i => i.points > 0);
+
+    const isAssigned = (i) => i.assignees && i.assignees.length > 0;
+    const byStatus = (list) => [
+        { label: 'مفتوحة (غير مسندة)', color: 'bg-red-400', items: list.filter(i => i.state === 'open' && !isAssigned(i)) },
+        { label: 'مفتوحة (مسندة)', color: 'bg-amber-400', items: list.filter(i => i.state === 'open' && isAssigned(i)) },
+        { label: 'مغلقة (غير مسندة)', color: 'bg-slate-400', items: list.filter(i => i.state === 'closed' && !isAssigned(i)) },
+        { label: 'مغلقة (مسندة)', color: 'bg-emerald-500', items: list.filter(i => i.state === 'closed' && isAssigned(i)) }
+    ];
+
+    return [
+        // 1. القضايا
+        { title: 'توزيع القضايا (Issues)', segments: byStatus(issues) },
+        // 1.1 توزيع النقاط للقضايا
+        {
+            title: 'إجمالي النقاط حسب حالة المهمة',
+            unit: 'نقطة',
+            segments: byStatus(issuesWithPoints).map(seg => ({ ...seg, value: sumPoints(seg.items) }))
+        },
+        // 1.2 توزيع النقاط حسب المشاريع
+        {
+            title: 'النقاط المحصلة حسب كل مشروع',
+            unit: 'نقطة',
+            segments: state.config.projects.map((project, idx) => {
+                const projectIssues = issuesWithPoints.filter(i => i.repo_info.id === project.id);
+                return {
+                    label: project.name,
+                    color: PROJECT_COLORS[idx % PROJECT_COLORS.length],
+                    items: projectIssues,
+                    value: sumPoints(projectIssues)
+                };
+            }).filter(seg => seg.value > 0)
+        },
+        // 2. طلبات السحب
+        {
+            title: 'طلبات السحب (Pull Requests)',
+            segments: [
+                { label: 'مفتوحة (رد المالك)', color: 'bg-blue-600', items: prs.filter(p => p.state === 'open' && p.comment_details?.owner_replied) },
+                { label: 'مفتوحة (لم يرد المالك)', color: 'bg-blue-300', items: prs.filter(p => p.state === 'open' && p.comment_details && !p.comment_details.owner_replied) },
+                { label: 'مفتوحة (تعذر تحميل التعليقات)', color: 'bg-slate-300', items: prs.filter(p => p.state === 'open' && !p.comment_details) },
+                { label: 'مدمجة (Merged)', color: 'bg-purple-500', items: prs.filter(p => p.state === 'closed' && p.merged_at) },
+                { label: 'مرفوضة (Rejected)', color: 'bg-red-500', items: prs.filter(p => p.state === 'closed' && !p.merged_at) }
+            ]
+        },
+        // 3. مصادر طلبات السحب
+        {
+            title: 'مساهمات المجتمع (PRs Ownership)',
+            segments: [
+                { label: 'من مالك المشروع', color: 'bg-teal-500', items: prs.filter(p => p.user.login === p.repo_info.owner) },
+                { label: 'من آخرين', color: 'bg-indigo-500', items: prs.filter(p => p.user.login !== p.repo_info.owner) }
+            ]
+        },
+        // 4. القضايا المغلقة
+        {
+            title: 'تحليل المهام المغلقة',
+            segments: [
+                { label: 'مغلقة ومسندة', color: 'bg-emerald-500', items: issues.filter(i => i.state === 'closed' && isAssigned(i)) },
+                { label: 'مغلقة وغير مسندة', color: 'bg-slate-400', items: issues.filter(i => i.state === 'closed' && !isAssigned(i)) }
+            ]
+        },
+        // 5. تفاعل التعليقات
+        {
+            title: 'تفاعل المالك مع القضايا',
+            segments: [
+                { label: 'بدون تعليقات', color: 'bg-slate-300', items: issues.filter(i => i.comments === 0) },
+                { label: 'رد من المالك وآخرين', color: 'bg-emerald-400', items: issues.filter(i => i.comments > 0 && i.comment_details?.owner_replied && i.comment_details.others_replied) },
+                { label: 'رد من آخرين (تجاهل المالك)', color: 'bg-rose-500', items: issues.filter(i => i.comments > 0 && i.comment_details && !i.comment_details.owner_replied && i.comment_details.others_replied) },
+                { label: 'رد المالك فقط', color: 'bg-sky-400', items: issues.filter(i => i.comments > 0 && i.comment_details?.owner_replied && !i.comment_details.others_replied) },
+                { label: 'تعذر تحميل التعليقات', color: 'bg-slate-200', items: issues.filter(i => i.comments > 0 && !i.comment_details) }
+            ]
+        }
+    ];
+}
+
+function segmentValue(seg) {
+    return seg.value !== undefined ? seg.value : seg.items.length;
+}
+
+function renderBarChart(chart, chartIndex) {
+    const { title, segments, unit = 'عنصر' } = chart;
+    const total = segments.reduce((acc, seg) => acc + segmentValue(seg), 0);
+    if (total === 0) return '';
+
+    const bars = segments.map((seg, idx) => {
+        const val = segmentValue(seg);
+        if (val === 0) return '';
+        const pct = (val / total) * 100;
+        return `
+            <div data-chart="${chartIndex}" data-segment="${idx}"
+                class="h-full ${seg.color} flex items-center justify-center cursor-pointer hover:brightness-110 transition-all border-l border-white/20 relative group"
+                style="width: ${pct}%">
+                ${pct > 8 ? `<span class="text-white font-bold text-sm drop-shadow-md">${val}</span>` : ''}
+                <div class="absolute opacity-0 group-hover:opacity-100 bottom-full mb-2 bg-slate-800 text-white text-xs px-2 py-1 rounded whitespace-nowrap z-10 pointer-events-none transition-opacity">
+                    ${escapeHtml(seg.label)}: ${val} ${unit} (${pct.toFixed(1)}%)
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const legend = segments.map((seg, idx) => {
+        const val = segmentValue(seg);
+        if (val === 0) return '';
+        return `
+            <button data-chart="${chartIndex}" data-segment="${idx}"
+                class="flex items-center text-sm text-slate-600 hover:text-slate-900 transition-colors bg-slate-50 px-3 py-1.5 rounded-lg border border-slate-100 hover:border-slate-300 hover:bg-slate-100 shadow-sm">
+                <span class="w-3 h-3 rounded-full ${seg.color} ml-2 shadow-sm"></span>
+                ${escapeHtml(seg.label)} (${val})
+            </button>
+        `;
+    }).join('');
+
+    return `
+        <div class="mb-8 bg-white p-5 rounded-xl border border-slate-200 shadow-sm transition-all hover:shadow-md">
+            <h3 class="font-bold text-slate-800 mb-4 text-lg border-b pb-3 flex items-center justify-between">
+                ${title}
+                <span class="bg-slate-100 text-slate-600 text-sm px-3 py-1 rounded-full font-medium">
+                    ${total} ${unit === 'نقطة' ? 'نقطة إجمالية' : 'إجمالي'}
+                </span>
+            </h3>
+
+            <!-- شريط التقدم -->
+            <div class="h-10 flex rounded-lg overflow-hidden bg-slate-100 shadow-inner">${bars}</div>
+
+            <!-- مفتاح الألوان -->
+            <div class="flex flex-wrap gap-3 mt-4">${legend}</div>
+        </div>
+    `;
+}
+
+function renderDetailItem(item) {
+    const assignees = item.assignees && item.assignees.length > 0
+        ? `<div class="flex -space-x-2 space-x-reverse">
+            ${item.assignees.map(user => `<img src="${escapeUrl(user.avatar_url)}" title="${escapeHtml(user.login)}" alt="${escapeHtml(user.login)}" class="w-7 h-7 rounded-full border-2 border-white shadow-sm">`).join('')}
+          </div>`
+        : '<span class="text-slate-300 italic">غير محدد</span>';
+
+    const replyIcon = (replied) => {
+        if (replied === undefined) return '<i data-lucide="help-circle" class="w-4 h-4 text-slate-300"></i>';
+        return replied
+            ? '<i data-lucide="check-circle-2" class="w-4 h-4 text-emerald-500"></i>'
+            : '<i data-lucide="x-circle" class="w-4 h-4 text-slate-200"></i>';
+    };
+
+    const replies = !item.isPR || item.state === 'open'
+        ? `<div class="flex items-center gap-4">
+            <div class="flex items-center gap-1.5" title="رد مالك المشروع">
+                <span class="text-slate-400">المالك:</span>
+                ${replyIcon(item.comment_details?.owner_replied)}
+            </div>
+            <div class="flex items-center gap-1.5" title="رد أشخاص آخرين">
+                <span class="text-slate-400">آخرون:</span>
+                ${replyIcon(item.comment_details?.others_replied)}
+            </div>
+          </div>`
+        : '';
+
+    return `
+        <li class="p-5 hover:bg-slate-50 transition-colors group">
+            <div class="flex justify-between items-start mb-3">
+                <a href="${escapeUrl(item.html_url)}" target="_blank" rel="noopener noreferrer"
+                    class="font-bold text-slate-900 group-hover:text-indigo-600 text-sm flex items-start gap-2 leading-relaxed transition-colors">
+                    <i data-lucide="external-link" class="w-4 h-4 mt-0.5 shrink-0 opacity-40 group-hover:opacity-100 transition-opacity"></i>
+                    ${escapeHtml(item.title)}
+                </a>
+                <span class="bg-slate-100 text-slate-500 text-[10px] font-bold px-2 py-1 rounded-md whitespace-nowrap mr-3 border border-slate-200">
+                    #${item.number}
+                </span>
+            </div>
+
+            <div class="flex items-center gap-2 mb-4">
+                <span class="text-[10px] font-bold uppercase tracking-wider text-slate-500 bg-slate-100 px-2 py-1 rounded">
+                    ${escapeHtml(item.repo_info.name)}
+                </span>
+                ${item.points > 0 ? `
+                    <span class="text-[10px] font-bold text-amber-700 bg-amber-100 px-2 py-1 rounded border border-amber-200">
+                        ${item.points} نقطة
+                    </span>
+                ` : ''}
+            </div>
+
+            <div class="flex flex-wrap items-center justify-between text-xs gap-y-3 pt-4 border-t border-slate-100">
+                <!-- المُسند إليه -->
+                <div class="flex items-center gap-2">
+                    <span class="text-slate-400 font-medium">التكليف:</span>
+                    ${assignees}
+                </div>
+
+                <!-- التعليقات -->
+                ${replies}
+            </div>
+        </li>
+    `;
+}
+
+function renderDetails() {
+    const selected = state.selectedCategory;
+    const headerEl = document.getElementById('details-header');
+    const bodyEl = document.getElementById('details-body');
+
+    headerEl.innerHTML = `
+        <div class="flex justify-between items-start">
+            <h3 class="font-bold text-lg leading-tight">${selected ? escapeHtml(selected.title) : 'تفاصيل العناصر'}</h3>
+            ${selected ? `<span class="bg-indigo-500/30 text-indigo-100 text-xs px-2 py-1 rounded-md font-bold">${selected.items.length}</span>` : ''}
+        </div>
+        ${!selected ? '<p class="text-slate-400 text-sm mt-2">اختر أحد الأشرطة لمشاهدة التفاصيل</p>' : ''}
+    `;
+
+    if (!selected) {
+        bodyEl.innerHTML = `
+            <div class="p-16 text-center text-slate-400 flex flex-col items-center">
+                <div class="bg-slate-50 w-20 h-20 rounded-full flex items-center justify-center mb-6">
+                    <i data-lucide="user" class="w-10 h-10 opacity-20"></i>
+                </div>
+                <p class="text-sm font-medium">انقر على أي شريط ملون لعرض قائمة القضايا أو طلبات السحب المتعلقة بها هنا.</p>
+            </div>
+        `;
+    } else if (selected.items.length === 0) {
+        bodyEl.innerHTML = '<div class="p-12 text-center text-slate-500 font-medium italic">لا توجد عناصر في هذا التصنيف حالياً.</div>';
+    } else {
+        bodyEl.innerHTML = `<ul class="divide-y divide-slate-100">${selected.items.map(renderDetailItem).join('')}</ul>`;
+    }
+}
+
+function render() {
+    const hasData = state.items.length > 0;
+
+    document.getElementById('empty-state').classList.toggle('hidden', hasData || state.loading);
+    document.getElementById('project-filter-bar').classList.toggle('hidden', !hasData);
+    document.getElementById('stats-content').classList.toggle('hidden', !hasData);
+
+    if (hasData) {
+        state.charts = calculateStats(getFilteredItems());
+
+        const chartsEl = document.getElementById('charts');
+        chartsEl.innerHTML = state.charts.map(renderBarChart).join('');
+        chartsEl.querySelectorAll('[data-segment]').forEach(el => {
+            el.addEventListener('click', () => {
+                const chart = state.charts[el.dataset.chart];
+                const seg = chart.segments[el.dataset.segment];
+                state.selectedCategory = { title: `${chart.title} - ${seg.label}`, items: seg.items };
+                renderDetails();
+                if (window.lucide) window.lucide.createIcons();
+            });
+        });
+
+        renderDetails();
+    }
+
+    if (window.lucide) window.lucide.createIcons();
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -4,20 +4,42 @@
  */
 
 import { openModal } from './modal.js';
+import { groupProjectsByCategory, getAssignees, getTimeToClose, filterPRs, getQuantileLevels, getAssignedAt } from './filters.js';
+import { describeCompletion } from './completion.js';
+import { escapeHtml, escapeUrl, renderLabel } from './render.js';
 
 // Cache DOM elements
-let leaderboardEl, contributorsLeaderboardEl, prsLeaderboardEl, loadingEl, emptyEl;
-let statOpen, statComments, statAssigned, statClosed, statPoints, statOpenPrs, statMergedPrs;
+let leaderboardEl, contributorsLeaderboardEl, prsLeaderboardEl, publishersLeaderboardEl, auditReportEl, loadingEl, emptyEl;
+let statOpen, statComments, statAssigned, statClosed, statPoints, statOpenPrs, statMergedPrs, statTimeToClose;
 let heatmapAssignedEl, heatmapClosedEl, heatmapMergedPrsEl, heatmapOpenPrsEl;
 let dayModalEl, dayBackdropEl, dayIssuesListEl, dayModalTitleEl;
+let profileModalEl, profileBackdropEl, profileBodyEl, profileModalTitleEl;
+let quotaBannerEl;
 
 // Issue cache to avoid storing large JSON in HTML attributes
 const issueCache = new Map();
 
-export function initUI() {
+// Explanations for project.incomplete values set by the API module
+const INCOMPLETE_REASONS = {
+  failed: 'تعذر جلب البيانات من GitHub، الأرقام المعروضة غير مكتملة',
+  stale: 'تعذر تحديث البيانات من GitHub، يتم عرض نسخة محفوظة سابقاً',
+  truncated: 'تم الوصول للحد الأقصى لعدد الصفحات، قد تكون بعض المهام غير محسوبة'
+};
+
+/**
+ * @param {Object} options - { onDayModalClose } called instead of closeDayModal when the
+ *                           user dismisses the day modal,
+ *                           { onProfileClose } likewise for the contributor profile
+ */
+export function initUI(options = {}) {
+  const onDayModalClose = options.onDayModalClose || closeDayModal;
+  const onProfileClose = options.onProfileClose || closeContributorProfile;
+
   leaderboardEl = document.getElementById('leaderboard');
   contributorsLeaderboardEl = document.getElementById('contributors-leaderboard');
   prsLeaderboardEl = document.getElementById('prs-leaderboard');
+  publishersLeaderboardEl = document.getElementById('publishers-leaderboard');
+  auditReportEl = document.getElementById('audit-report');
   loadingEl = document.getElementById('loading-state');
   emptyEl = document.getElementById('empty-state');
   statOpen = document.getElementById('stat-open');
@@ -27,6 +49,7 @@ export function initUI() {
   statOpenPrs = document.getElementById('stat-open-prs');
   statMergedPrs = document.getElementById('stat-merged-prs');
   statPoints = document.getElementById('stat-points');
+  statTimeToClose = document.getElementById('stat-time-to-close');
   heatmapAssignedEl = document.getElementById('heatmap-assigned');
   heatmapClosedEl = document.getElementById('heatmap-closed');
   heatmapMergedPrsEl = document.getElementById('heatmap-merged-prs');
@@ -35,10 +58,44 @@ export function initUI() {
   dayBackdropEl = document.getElementById('day-backdrop');
   dayIssuesListEl = document.getElementById('day-issues-list');
   dayModalTitleEl = document.getElementById('day-modal-title');
+  profileModalEl = document.getElementById('profile-modal');
+  profileBackdropEl = document.getElementById('profile-backdrop');
+  profileBodyEl = document.getElementById('profile-body');
+  profileModalTitleEl = document.getElementById('profile-modal-title');
+  quotaBannerEl = document.getElementById('quota-banner');
 
   // Close day modal listeners
-  document.getElementById('day-modal-close')?.addEventListener('click', closeDayModal);
-  dayBackdropEl?.addEventListener('click', closeDayModal);
+  document.getElementById('day-modal-close')?.addEventListener('click', () => onDayModalClose());
+  dayBackdropEl?.addEventListener('click', () => onDayModalClose());
+
+  // Close profile listeners
+  document.getElementById('profile-modal-close')?.addEventListener('click', () => onProfileClose());
+  profileBackdropEl?.addEventListener('click', () => onProfileClose());
+}
+
+/**
+ * Render the campaign switcher in the header and the heatmap date range
+ * @param {Array} campaigns - Campaigns from getCampaigns
+ * @param {Object} activeCampaign - Currently selected campaign
+ * @param {Function} onChange - callback(campaignId)
+ */
+export function renderCampaignSwitcher(campaigns, activeCampaign, onChange) {
+  const select = document.getElementById('campaign-select');
+  if (select) {
+    select.innerHTML = campaigns
+      .map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name || c.id)}</option>`)
+      .join('');
+    select.value = activeCampaign.id;
+    select.onchange = () => onChange(select.value);
+  }
+
+  const rangeEl = document.getElementById('heatmap-range');
+  if (rangeEl) {
+    const format = (date) => new Date(date).toLocaleDateString('ar-EG', { month: 'long', day: 'numeric' });
+    rangeEl.textContent = activeCampaign.end
+      ? `${format(activeCampaign.start)} - ${format(activeCampaign.end)}`
+      : `منذ ${format(activeCampaign.start)}`;
+  }
 }
 
 export function renderStats(stats) {
@@ -49,6 +106,79 @@ export function renderStats(stats) {
   if (statOpenPrs) statOpenPrs.textContent = stats.openPRs;
   if (statMergedPrs) statMergedPrs.textContent = stats.mergedPRs;
   if (statPoints) statPoints.textContent = `${stats.collectedPoints}/${stats.totalPoints}`;
+  if (statTimeToClose) statTimeToClose.textContent = formatDuration(stats.medianTimeToClose);
+}
+
+/**
+ * Format a duration compactly, e.g. "45 د", "6 س", "3 ي"
+ * @param {number|null} ms - Milliseconds
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} د`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} س`;
+  return `${Math.round(hours / 24)} ي`;
+}
+
+/**
+ * Show remaining GitHub quota and the projects whose data is incomplete
+ * Hidden while the quota is healthy and every project loaded fully
+ * @param {Object} rateLimits - { core, graphql } from getRateLimit(), graphql when it is a data source
+ * @param {Array} projects - Projects with an `incomplete` reason
+ */
+export function renderQuotaBanner(rateLimits, projects) {
+  if (!quotaBannerEl) return;
+
+  const incompleteProjects = projects.filter(p => p.incomplete);
+  const limits = [
+    { name: 'REST', rateLimit: rateLimits.core },
+    { name: 'GraphQL', rateLimit: rateLimits.graphql }
+  ].filter(entry => entry.rateLimit);
+  const isLowLimit = rateLimit => rateLimit.limit && rateLimit.remaining <= Math.max(10, rateLimit.limit * 0.1);
+  const isLow = limits.some(entry => isLowLimit(entry.rateLimit));
+  const pausedUntil = limits.find(entry => entry.rateLimit.pausedUntil)?.rateLimit.pausedUntil;
+  const isPaused = !!pausedUntil;
+
+  if (!isLow && !isPaused && incompleteProjects.length === 0) {
+    quotaBannerEl.classList.add('hidden');
+    quotaBannerEl.innerHTML = '';
+    return;
+  }
+
+  const formatTime = (date) => date.toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' });
+
+  // Name each API only when both quotas are shown
+  const quotaText = limits.map(({ name, rateLimit }) => `
+    <div>
+      ${limits.length > 1 ? `${name} - ` : ''}الطلبات المتبقية: <strong>${rateLimit.remaining}/${rateLimit.limit}</strong>${rateLimit.reset ? ` - يتجدد الحد الساعة ${formatTime(rateLimit.reset)}` : ''}
+    </div>
+  `).join('');
+
+  const pausedText = isPaused
+    ? `<div>تم إيقاف الطلبات مؤقتاً بسبب الضغط حتى ${formatTime(pausedUntil)}</div>`
+    : '';
+
+  const projectsText = incompleteProjects.length > 0
+    ? `<div class="quota-banner-projects">
+        بيانات غير مكتملة:
+        ${incompleteProjects.map(p => `<span class="badge badge-warning" title="${INCOMPLETE_REASONS[p.incomplete]}">${escapeHtml(p.name)}</span>`).join('')}
+      </div>`
+    : '';
+
+  quotaBannerEl.innerHTML = `
+    <i data-lucide="alert-triangle" class="w-4 h-4 flex-shrink-0"></i>
+    <div class="quota-banner-content">
+      ${quotaText}
+      ${pausedText}
+      ${projectsText}
+    </div>
+  `;
+  quotaBannerEl.classList.remove('hidden');
+
+  if (window.lucide) window.lucide.createIcons();
 }
 
 export function showLoading() {
@@ -63,13 +193,32 @@ export function hideLoading() {
   if (loadingEl) loadingEl.classList.add('hidden');
 }
 
+/**
+ * Spin the refresh button while a background revalidation is running
+ * @param {boolean} isRefreshing
+ */
+export function setRefreshing(isRefreshing) {
+  const refreshBtn = document.getElementById('btn-refresh');
+  if (!refreshBtn) return;
+  refreshBtn.disabled = isRefreshing;
+  refreshBtn.querySelector('svg, i')?.classList.toggle('animate-spin', isRefreshing);
+}
+
 export function showEmpty(show = true) {
   if (emptyEl) {
     emptyEl.classList.toggle('hidden', !show);
   }
 }
 
-export function renderLeaderboard(projects, expandedProjects, onProjectToggle, onIssueClick) {
+/**
+ * Render the repos leaderboard
+ * @param {Array} projects - Filtered and sorted projects
+ * @param {Set} expandedProjects - Ids of expanded project cards
+ * @param {Function} onProjectToggle - callback(projectId)
+ * @param {Function} onIssueClick - callback(issue, owner, repo)
+ * @param {Object} options - { groupBy: 'none' | 'category', categories } categories map from projects.json
+ */
+export function renderLeaderboard(projects, expandedProjects, onProjectToggle, onIssueClick, options = {}) {
   if (!leaderboardEl) return;
 
   if (projects.length === 0) {
@@ -90,12 +239,23 @@ export function renderLeaderboard(projects, expandedProjects, onProjectToggle, o
     });
   });
 
-  const html = projects.map((project, index) => {
+  const changes = options.changes;
+  const renderCards = (list) => list.map((project, index) => {
     const rank = index + 1;
     const isExpanded = expandedProjects.has(project.id);
-    return renderProjectCard(project, rank, isExpanded);
+    const change = changes?.projects.get(project.id);
+    return renderProjectCard(project, rank, isExpanded, change && { ...change, since: changes.since });
   }).join('');
 
+  const html = options.groupBy === 'category'
+    ? groupProjectsByCategory(projects, options.categories).map(group => `
+        <div class="category-group space-y-3">
+          ${renderCategoryHeader(group)}
+          ${renderCards(group.projects)}
+        </div>
+      `).join('')
+    : renderCards(projects);
+
   leaderboardEl.innerHTML = html;
 
   // Reinitialize Lucide icons for dynamic content
@@ -123,9 +283,31 @@ export function renderLeaderboard(projects, expandedProjects, onProjectToggle, o
   });
 }
 
-function renderProjectCard(project, rank, isExpanded) {
+function renderCategoryHeader(group) {
+  return `
+    <div class="category-header">
+      <span class="category-dot" style="background: ${group.color || 'hsl(var(--muted-foreground))'}"></span>
+      <span class="category-name">${escapeHtml(group.name)}</span>
+      <span class="badge badge-secondary">${group.projects.length} مشاريع</span>
+      <div class="category-totals">
+        <span class="project-stat" title="مفتوحة">
+          <i data-lucide="circle-dot" class="w-3 h-3" style="color: hsl(var(--primary))"></i>
+          ${group.totals.open}
+        </span>
+        <span class="project-stat" title="مغلقة">
+          <i data-lucide="check-circle" class="w-3 h-3" style="color: hsl(271 91% 65%)"></i>
+          ${group.totals.closed}
+        </span>
+        ${group.totals.points > 0 ? `<span class="badge badge-points">${group.totals.points}</span>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+function renderProjectCard(project, rank, isExpanded, change) {
   const stats = project.filteredStats || project.stats;
   const issues = project.filteredIssues || project.issues;
+  const incompleteTitle = INCOMPLETE_REASONS[project.incomplete];
 
   return `
     <div class="project-card ${isExpanded ? 'expanded' : ''}">
@@ -134,7 +316,7 @@ function renderProjectCard(project, rank, isExpanded) {
           <i data-lucide="folder-git-2" class="w-4 h-4"></i>
         </div>
         <div class="project-info">
-          <div class="project-name">${project.name}</div>
+          <div class="project-name">${escapeHtml(project.name)}${renderNewBadge(change)}</div>
           <div class="project-stats">
             <span class="project-stat">
               <i data-lucide="circle-dot" class="w-3 h-3" style="color: hsl(var(--primary))"></i>
@@ -147,9 +329,14 @@ function renderProjectCard(project, rank, isExpanded) {
             <span class="project-stat">
               <i data-lucide="check-circle" class="w-3 h-3" style="color: hsl(271 91% 65%)"></i>
               ${stats.closed}
+              ${renderDelta(change?.closedDelta, change?.since)}
             </span>
           </div>
         </div>
+        ${incompleteTitle ? `<span class="badge badge-warning" title="${incompleteTitle}">
+          <i data-lucide="alert-triangle" class="w-3 h-3"></i>
+          غير مكتمل
+        </span>` : ''}
         ${stats.points > 0 ? `<span class="badge badge-points">${stats.points}</span>` : ''}
         <span class="badge badge-secondary">${stats.total}</span>
         <i data-lucide="chevron-down" class="expand-icon w-4 h-4"></i>
@@ -164,28 +351,34 @@ function renderProjectCard(project, rank, isExpanded) {
 }
 
 export function renderIssueCard(issue, owner, repo) {
-  const statusClass = issue.state === 'open' ? 'open' : 'closed';
+  const notCounted = issue.completion?.status === 'not_counted';
+  const statusClass = issue.state === 'open' ? 'open' : notCounted ? 'not-counted' : 'closed';
   const pointsBadge = issue.points > 0
-    ? `<span class="badge badge-points">${issue.points}</span>`
+    ? `<span class="badge badge-points ${notCounted ? 'line-through' : ''}">${issue.points}</span>`
     : '';
+  const notCountedBadge = notCounted
+    ? `<span class="badge badge-muted" title="${escapeHtml(describeCompletion(issue.completion))}">مغلقة – غير محتسبة</span>`
+    : '';
+
+  const assignees = getAssignees(issue);
 
-  const assigneeName = issue.assignee
-    ? `<span class="assignee-name truncate max-w-[80px]">${issue.assignee.login}</span>`
+  const assigneeName = assignees.length > 0
+    ? `<span class="assignee-name truncate max-w-[80px]">${escapeHtml(assignees[0].login)}</span>${assignees.length > 1 ? `<span class="text-muted-foreground">+${assignees.length - 1}</span>` : ''}`
     : '';
 
   const labels = (issue.labels || [])
     .filter(l => !l.name.match(/^\d+/))
     .slice(0, 3)
-    .map(l => `<span class="badge badge-secondary" style="background-color: #${l.color}20; color: #${l.color}; border-color: #${l.color}50">${l.name}</span>`)
+    .map(renderLabel)
     .join('');
 
-  const githubLink = `<a href="${issue.html_url}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto mr-2" title="فتح في GitHub">
+  const githubLink = `<a href="${escapeUrl(issue.html_url)}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto mr-2" title="فتح في GitHub">
     <i data-lucide="external-link" class="w-3 h-3"></i>
   </a>`;
 
-  const assignee = issue.assignee
-    ? `<div class="avatar"><img src="${issue.assignee.avatar_url}" alt="${issue.assignee.login}"></div>`
-    : '';
+  const assignee = assignees
+    .map(a => `<div class="avatar"><img src="${escapeUrl(a.avatar_url)}" alt="${escapeHtml(a.login)}" title="${escapeHtml(a.login)}"></div>`)
+    .join('');
 
   const date = new Date(issue.created_at).toLocaleDateString('ar-EG', { month: 'short', day: 'numeric' });
 
@@ -197,11 +390,12 @@ export function renderIssueCard(issue, owner, repo) {
       <div class="issue-status ${statusClass}"></div>
       <div class="issue-content">
         <div class="flex items-center gap-2">
-          <div class="issue-title truncate">${issue.title}</div>
+          <div class="issue-title truncate">${escapeHtml(issue.title)}</div>
           ${githubLink}
         </div>
         <div class="issue-labels">
           ${pointsBadge}
+          ${notCountedBadge}
           ${labels}
         </div>
         <div class="issue-meta">
@@ -224,9 +418,17 @@ export function renderIssueCard(issue, owner, repo) {
   `;
 }
 
-export function renderContributorsLeaderboard(contributors, onIssueClick) {
+/**
+ * Render the contributor leaderboard
+ * @param {Array} contributors - From buildContributorLeaderboard
+ * @param {Function} onContributorClick - callback(username)
+ * @param {Object|null} changes - From compareWithPrevious, adds "new" badges and point deltas
+ */
+export function renderContributorsLeaderboard(contributors, onContributorClick, changes = null, audit = {}) {
   if (!contributorsLeaderboardEl) return;
 
+  const auditNote = renderContributorsAuditNote(audit);
+
   if (contributors.length === 0) {
     contributorsLeaderboardEl.innerHTML = `
             <div class="flex flex-col items-center justify-center py-20 text-center">
@@ -241,10 +443,18 @@ export function renderContributorsLeaderboard(contributors, onIssueClick) {
 
   const html = contributors.map((contributor, index) => {
     const rank = index + 1;
-    return renderContributorCard(contributor, rank);
+    const change = changes?.contributors.get(contributor.username);
+    return renderContributorCard(contributor, rank, change && { ...change, since: changes.since });
   }).join('');
 
-  contributorsLeaderboardEl.innerHTML = html;
+  contributorsLeaderboardEl.innerHTML = auditNote + html;
+
+  contributorsLeaderboardEl.querySelectorAll('.contributor-card').forEach(card => {
+    card.addEventListener('click', (e) => {
+      if (e.target.closest('a')) return;
+      onContributorClick(card.dataset.username);
+    });
+  });
 
   // Reinitialize Lucide icons
   if (window.lucide) {
@@ -252,18 +462,19 @@ export function renderContributorsLeaderboard(contributors, onIssueClick) {
   }
 }
 
-function renderContributorCard(contributor, rank) {
+function renderContributorCard(contributor, rank, change) {
   const rankClass = rank <= 3 ? `rank-${rank}` : '';
 
   return `
-    <div class="contributor-card">
+    <div class="contributor-card" data-username="${escapeHtml(contributor.username)}">
       <div class="rank-badge ${rankClass}">${rank}</div>
       <div class="contributor-avatar">
-        <img src="${contributor.avatar_url}" alt="${contributor.username}">
+        <img src="${escapeUrl(contributor.avatar_url)}" alt="${escapeHtml(contributor.username)}">
       </div>
       <div class="contributor-info">
         <div class="contributor-name">
-          <a href="${contributor.html_url}" target="_blank" rel="noopener">${contributor.username}</a>
+          <a href="${escapeUrl(contributor.html_url)}" target="_blank" rel="noopener">${escapeHtml(contributor.username)}</a>
+          ${renderNewBadge(change)}
         </div>
         <div class="contributor-stats">
           <span class="contributor-stat">
@@ -277,26 +488,291 @@ function renderContributorCard(contributor, rank) {
         </div>
       </div>
       <div class="contributor-points">
+        ${renderDelta(change?.pointsDelta, change?.since)}
         <span class="badge badge-points">${contributor.totalPoints}</span>
       </div>
     </div>
   `;
 }
 
+/**
+ * Badge for entries that were not in the last snapshot
+ * Rank movement is not shown, the snapshot order does not follow the view's sorting and exclusions
+ * @param {Object|undefined} change - { isNew, since } from compareWithPrevious
+ * @returns {string} HTML
+ */
+function renderNewBadge(change) {
+  if (!change?.isNew) return '';
+  return `<span class="rank-change new" title="جديد منذ ${escapeHtml(change.since)}">جديد</span>`;
+}
+
+/**
+ * Increase of a value since the last snapshot
+ * @param {number|undefined} delta - Difference from compareWithPrevious
+ * @param {string|undefined} since - Snapshot date
+ * @returns {string} HTML
+ */
+function renderDelta(delta, since) {
+  if (!delta) return '';
+  return `<span class="stat-delta ${delta > 0 ? 'up' : 'down'}" title="منذ ${escapeHtml(since)}">${delta > 0 ? '+' : ''}${escapeHtml(delta)}</span>`;
+}
+
+/**
+ * Render the publisher leaderboard
+ * @param {Array} publishers - Sorted publishers from buildPublisherLeaderboard
+ * @param {Set} expandedPublishers - Names of expanded publisher cards
+ * @param {Function} onPublisherToggle - callback(publisherName)
+ */
+export function renderPublishersLeaderboard(publishers, expandedPublishers, onPublisherToggle) {
+  if (!publishersLeaderboardEl) return;
+
+  if (publishers.length === 0) {
+    publishersLeaderboardEl.innerHTML = `
+            <div class="flex flex-col items-center justify-center py-20 text-center">
+                <i data-lucide="building-2" class="w-16 h-16 text-muted-foreground mb-4"></i>
+                <h3 class="text-lg font-semibold text-foreground">لا يوجد ناشرون</h3>
+                <p class="text-muted-foreground">لا توجد مشاريع مطابقة لخيارات التصفية الحالية.</p>
+            </div>
+        `;
+    if (window.lucide) window.lucide.createIcons();
+    return;
+  }
+
+  publishersLeaderboardEl.innerHTML = publishers.map((publisher, index) => {
+    return renderPublisherCard(publisher, index + 1, expandedPublishers.has(publisher.name));
+  }).join('');
+
+  if (window.lucide) {
+    window.lucide.createIcons();
+  }
+
+  publishersLeaderboardEl.querySelectorAll('.project-header').forEach(header => {
+    header.addEventListener('click', () => onPublisherToggle(header.dataset.publisher));
+  });
+}
+
+function formatResponsiveness(responsiveness) {
+  if (responsiveness.rate !== null) {
+    return `${Math.round(responsiveness.rate * 100)}%`;
+  }
+  return responsiveness.pending > 0 ? '...' : '—';
+}
+
+function renderPublisherCard(publisher, rank, isExpanded) {
+  const rankClass = rank <= 3 ? `rank-${rank}` : '';
+  const { responsiveness } = publisher;
+  const responsivenessTitle = responsiveness.pending > 0
+    ? `جاري تحليل التعليقات (${responsiveness.pending} مهمة متبقية)`
+    : `رد الناشر على ${responsiveness.replied} من ${responsiveness.commented} مهمة بها تعليقات`;
+
+  return `
+    <div class="project-card ${isExpanded ? 'expanded' : ''}">
+      <div class="project-header" data-publisher="${escapeHtml(publisher.name)}">
+        <div class="rank-badge ${rankClass}">${rank}</div>
+        <div class="project-info">
+          <div class="project-name">${escapeHtml(publisher.name)}</div>
+          <div class="project-stats">
+            <span class="project-stat" title="المشاريع">
+              <i data-lucide="folder-git-2" class="w-3 h-3"></i>
+              ${publisher.projects.length}
+            </span>
+            <span class="project-stat" title="المهام">
+              <i data-lucide="circle-dot" class="w-3 h-3" style="color: hsl(var(--primary))"></i>
+              ${publisher.issues}
+            </span>
+            <span class="project-stat" title="المهام المغلقة">
+              <i data-lucide="check-circle" class="w-3 h-3" style="color: hsl(271 91% 65%)"></i>
+              ${publisher.closed}
+            </span>
+            <span class="project-stat" title="طلبات السحب المدمجة">
+              <i data-lucide="git-merge" class="w-3 h-3"></i>
+              ${publisher.mergedPRs}
+            </span>
+            <span class="project-stat" title="${responsivenessTitle}">
+              <i data-lucide="message-square-reply" class="w-3 h-3"></i>
+              ${formatResponsiveness(responsiveness)}
+            </span>
+          </div>
+        </div>
+        <span class="badge badge-secondary" title="النقاط المعروضة">${publisher.pointsOffered}</span>
+        <span class="badge badge-points" title="النقاط المحصلة">${publisher.pointsCollected}</span>
+        <i data-lucide="chevron-down" class="expand-icon w-4 h-4"></i>
+      </div>
+      <div class="project-issues">
+        <div class="issues-list">
+          ${publisher.projects.map(renderPublisherProjectRow).join('')}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+function renderPublisherProjectRow(project) {
+  return `
+    <div class="publisher-project">
+      <i data-lucide="folder-git-2" class="w-3 h-3 text-muted-foreground"></i>
+      <a class="publisher-project-name" href="https://github.com/${escapeHtml(project.owner)}/${escapeHtml(project.repo)}" target="_blank" rel="noopener">${escapeHtml(project.name)}</a>
+      <div class="project-stats">
+        <span class="project-stat" title="مفتوحة">
+          <i data-lucide="circle-dot" class="w-3 h-3" style="color: hsl(var(--primary))"></i>
+          ${project.stats.open}
+        </span>
+        <span class="project-stat" title="مغلقة">
+          <i data-lucide="check-circle" class="w-3 h-3" style="color: hsl(271 91% 65%)"></i>
+          ${project.stats.closed}
+        </span>
+        <span class="project-stat" title="طلبات السحب المدمجة">
+          <i data-lucide="git-merge" class="w-3 h-3"></i>
+          ${project.mergedPRs}
+        </span>
+      </div>
+      <span class="badge badge-points" title="النقاط المحصلة">${project.pointsCollected}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render the points audit report and the per-rule exclusion toggles
+ * @param {Object|null} report - From runAudit, null while the audit is running
+ * @param {Array} rules - AUDIT_RULES
+ * @param {Array} excludedRules - Ids of rules whose flagged points are excluded
+ * @param {Function} onRuleToggle - callback(ruleId)
+ * @param {Function} onIssueClick - callback(issue, owner, repo)
+ * @param {Function} onRetry - callback() to run the audit again
+ */
+export function renderAuditReport(report, rules, excludedRules, onRuleToggle, onIssueClick, onRetry) {
+  if (!auditReportEl) return;
+
+  const togglesEl = document.getElementById('audit-rule-toggles');
+  if (togglesEl) {
+    togglesEl.innerHTML = rules.map(rule => `
+      <div class="filter-group">
+        <label class="toggle-container" data-rule="${rule.id}" title="${rule.description}">
+          <span class="toggle-label">${rule.title}</span>
+          <div class="toggle ${excludedRules.includes(rule.id) ? 'active' : ''}"></div>
+        </label>
+      </div>
+    `).join('');
+    togglesEl.querySelectorAll('[data-rule]').forEach(toggle => {
+      toggle.onclick = () => onRuleToggle(toggle.dataset.rule);
+    });
+  }
+
+  if (!report) {
+    auditReportEl.innerHTML = `
+      <div class="flex flex-col items-center justify-center py-20">
+        <div class="spinner"></div>
+        <p class="mt-4 text-muted-foreground">جاري فحص سجل أحداث المهام...</p>
+      </div>
+    `;
+    return;
+  }
+
+  const unknown = renderAuditUnknown(report);
+
+  if (report.flags.length === 0) {
+    auditReportEl.innerHTML = unknown + `
+            <div class="flex flex-col items-center justify-center py-20 text-center">
+                <i data-lucide="shield-check" class="w-16 h-16 text-muted-foreground mb-4"></i>
+                <h3 class="text-lg font-semibold text-foreground">لا توجد ملاحظات</h3>
+                <p class="text-muted-foreground">تم فحص ${report.checked} مهمة ذات نقاط دون رصد أي نمط مريب.</p>
+            </div>
+        `;
+    if (window.lucide) window.lucide.createIcons();
+    bindAuditRetry(onRetry);
+    return;
+  }
+
+  const ruleTitles = Object.fromEntries(rules.map(rule => [rule.id, rule.title]));
+
+  auditReportEl.innerHTML = `
+    ${unknown}
+    <p class="text-sm text-muted-foreground">تم رصد ${report.flags.length} ملاحظة من أصل ${report.checked} مهمة ذات نقاط.</p>
+    ${report.flags.map((flag, index) => `
+      <div class="audit-flag ${excludedRules.includes(flag.rule) ? 'excluded' : ''}" data-flag-index="${index}">
+        <div class="audit-flag-header">
+          <span class="badge badge-warning">${ruleTitles[flag.rule]}</span>
+          <span class="issue-title truncate">${escapeHtml(flag.issue.title)}</span>
+          <span class="badge badge-points">${flag.issue.points}</span>
+        </div>
+        <div class="audit-flag-detail">
+          <span>${escapeHtml(flag.projectName)} #${flag.issue.number}</span>
+          <span>${escapeHtml(flag.detail)}</span>
+        </div>
+      </div>
+    `).join('')}
+  `;
+
+  if (window.lucide) window.lucide.createIcons();
+
+  auditReportEl.querySelectorAll('.audit-flag').forEach(card => {
+    card.addEventListener('click', () => {
+      const flag = report.flags[card.dataset.flagIndex];
+      onIssueClick(flag.issue, flag.owner, flag.repo);
+    });
+  });
+  bindAuditRetry(onRetry);
+}
+
+/**
+ * Notice for issues the audit could not check, with a button to run it again
+ */
+function renderAuditUnknown(report) {
+  if (report.unknown.length === 0) return '';
+
+  const failed = report.unknown.filter(entry => entry.reason === 'failed').length;
+  const skipped = report.unknown.length - failed;
+  const parts = [
+    failed > 0 ? `تعذر تحميل سجل أحداث ${failed} مهمة` : '',
+    skipped > 0 ? `تجاوزت ${skipped} مهمة حد الفحص` : ''
+  ].filter(Boolean);
+
+  return `
+    <div class="audit-notice">
+      <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+      <span>${parts.join('، و')}، لم تُفحص ولم يُستبعد شيء من نقاطها.</span>
+      <button class="btn btn-secondary btn-sm audit-retry">إعادة المحاولة</button>
+    </div>
+  `;
+}
+
+function bindAuditRetry(onRetry) {
+  const button = auditReportEl.querySelector('.audit-retry');
+  if (button && onRetry) button.addEventListener('click', onRetry);
+}
+
+/**
+ * Notice above the contributors while excluded audit rules are not fully applied
+ * @param {Object} audit - { auditPending, auditUnknown }
+ */
+function renderContributorsAuditNote(audit) {
+  if (audit.auditPending) {
+    return `
+      <div class="audit-notice">
+        <div class="spinner" style="width: 1rem; height: 1rem;"></div>
+        <span>جاري فحص النقاط، قد يتغير الترتيب عند اكتمال الفحص.</span>
+      </div>
+    `;
+  }
+  if (audit.auditUnknown > 0) {
+    return `
+      <div class="audit-notice">
+        <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+        <span>تعذر فحص ${audit.auditUnknown} مهمة، نقاطها محتسبة دون فحص.</span>
+      </div>
+    `;
+  }
+  return '';
+}
+
 export function renderPRsLeaderboard(projects, filters, onIssueClick) {
   if (!prsLeaderboardEl) return;
 
-  const prStatus = filters.prStatus || 'all';
   const projectGroups = [];
 
   projects.forEach(project => {
     if (project.prs) {
-      const filteredPRs = project.prs.filter(pr => {
-        if (prStatus === 'all') return true;
-        if (prStatus === 'open') return pr.state === 'open';
-        if (prStatus === 'closed') return pr.state === 'closed';
-        return true;
-      });
+      const filteredPRs = filterPRs(project.prs, filters);
 
       if (filteredPRs.length > 0) {
         // Sort PRs in group by date
@@ -336,7 +812,7 @@ export function renderPRsLeaderboard(projects, filters, onIssueClick) {
       <div class="project-group mb-8">
         <div class="flex items-center gap-2 mb-4 pb-2 border-b border-border">
           <i data-lucide="folder-git-2" class="w-4 h-4 text-primary"></i>
-          <h3 class="font-bold text-sm">${group.projectName}</h3>
+          <h3 class="font-bold text-sm">${escapeHtml(group.projectName)}</h3>
           <span class="badge badge-secondary ml-auto text-[10px]">${group.prs.length} طلبات</span>
         </div>
         <div class="space-y-3">
@@ -358,16 +834,16 @@ export function renderPRsLeaderboard(projects, filters, onIssueClick) {
                 <div class="issue-status ${isOpen ? 'open' : 'closed'}"></div>
                 <div class="issue-content">
                   <div class="flex items-center gap-2 mb-1">
-                    <div class="issue-title truncate font-bold text-sm leading-tight">${pr.title}</div>
-                    <a href="${pr.html_url}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto">
+                    <div class="issue-title truncate font-bold text-sm leading-tight">${escapeHtml(pr.title)}</div>
+                    <a href="${escapeUrl(pr.html_url)}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto">
                       <i data-lucide="external-link" class="w-3 h-3"></i>
                     </a>
                   </div>
                   <div class="flex items-center justify-between mt-2">
                     <div class="flex items-center gap-3">
                       <div class="flex items-center gap-1">
-                        <div class="avatar"><img src="${author.avatar_url}" alt="${author.login}"></div>
-                        <span class="text-[10px] text-muted-foreground">${author.login}</span>
+                        <div class="avatar"><img src="${escapeUrl(author.avatar_url)}" alt="${escapeHtml(author.login)}"></div>
+                        <span class="text-[10px] text-muted-foreground">${escapeHtml(author.login)}</span>
                       </div>
                     </div>
                     <div class="flex items-center gap-2">
@@ -400,7 +876,30 @@ export function renderPRsLeaderboard(projects, filters, onIssueClick) {
   if (window.lucide) window.lucide.createIcons();
 }
 
-export function renderFiltersBar(filters, onChange) {
+/**
+ * Sync the filter bars with the current filters
+ * @param {Object} filters - Current filters
+ * @param {Function} onChange - callback(filterType, value)
+ * @param {Object} options - { categories } categories that have projects, for the category pills,
+ *                           { projects } project configurations, for the burn-up and heatmap scope,
+ *                           { contributors } logins for the heatmap scope,
+ *                           { labels, authors, prLabels, prAuthors } values present in the loaded data
+ */
+export function renderFiltersBar(filters, onChange, options = {}) {
+  // Category pills are built from projects.json
+  const categoryPills = document.getElementById('category-pills');
+  if (categoryPills && options.categories) {
+    categoryPills.innerHTML = [
+      '<button class="filter-pill" data-filter="category" data-value="all">الكل</button>',
+      ...options.categories.map(c => `<button class="filter-pill" data-filter="category" data-value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</button>`)
+    ].join('');
+  }
+
+  document.querySelectorAll('[data-filter="category"]').forEach(pill => {
+    pill.classList.toggle('active', pill.dataset.value === filters.category);
+    pill.onclick = () => onChange('category', pill.dataset.value);
+  });
+
   // Status pills
   document.querySelectorAll('[data-filter="status"]').forEach(pill => {
     pill.classList.toggle('active', pill.dataset.value === filters.status);
@@ -425,12 +924,95 @@ export function renderFiltersBar(filters, onChange) {
     pill.onclick = () => onChange('contribSort', pill.dataset.value);
   });
 
+  // Publisher sort select and order pills
+  const publisherSortSelect = document.getElementById('publisher-sort-select');
+  if (publisherSortSelect) {
+    publisherSortSelect.value = filters.publisherSort;
+    publisherSortSelect.onchange = () => onChange('publisherSort', publisherSortSelect.value);
+  }
+
+  document.querySelectorAll('[data-filter="publisher-sort-order"]').forEach(pill => {
+    pill.classList.toggle('active', pill.dataset.value === filters.publisherSortOrder);
+    pill.onclick = () => onChange('publisherSortOrder', pill.dataset.value);
+  });
+
   // PR status pills
   document.querySelectorAll('[data-filter="pr-status"]').forEach(pill => {
     pill.classList.toggle('active', pill.dataset.value === filters.prStatus);
     pill.onclick = () => onChange('prStatus', pill.dataset.value);
   });
 
+  // Burn-up scope, the project list follows the chosen category
+  const burnUpCategorySelect = document.getElementById('burnup-category-select');
+  if (burnUpCategorySelect && options.categories) {
+    burnUpCategorySelect.innerHTML = [
+      '<option value="all">كل الفئات</option>',
+      ...options.categories.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+    ].join('');
+    burnUpCategorySelect.value = filters.burnUpCategory;
+    burnUpCategorySelect.onchange = () => onChange('burnUpCategory', burnUpCategorySelect.value);
+  }
+
+  const burnUpProjectSelect = document.getElementById('burnup-project-select');
+  if (burnUpProjectSelect && options.projects) {
+    const projects = options.projects.filter(p => filters.burnUpCategory === 'all' || p.category === filters.burnUpCategory);
+    burnUpProjectSelect.innerHTML = [
+      '<option value="all">كل المشاريع</option>',
+      ...projects.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    ].join('');
+    burnUpProjectSelect.value = filters.burnUpProject;
+    burnUpProjectSelect.onchange = () => onChange('burnUpProject', burnUpProjectSelect.value);
+  }
+
+  // Heatmap scope and weight
+  const heatmapCategorySelect = document.getElementById('heatmap-category-select');
+  if (heatmapCategorySelect && options.categories) {
+    heatmapCategorySelect.innerHTML = [
+      '<option value="all">كل الفئات</option>',
+      ...options.categories.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`)
+    ].join('');
+    heatmapCategorySelect.value = filters.heatmapCategory;
+    heatmapCategorySelect.onchange = () => onChange('heatmapCategory', heatmapCategorySelect.value);
+  }
+
+  const heatmapProjectSelect = document.getElementById('heatmap-project-select');
+  if (heatmapProjectSelect && options.projects) {
+    const projects = options.projects.filter(p => filters.heatmapCategory === 'all' || p.category === filters.heatmapCategory);
+    heatmapProjectSelect.innerHTML = [
+      '<option value="all">كل المشاريع</option>',
+      ...projects.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`)
+    ].join('');
+    heatmapProjectSelect.value = filters.heatmapProject;
+    heatmapProjectSelect.onchange = () => onChange('heatmapProject', heatmapProjectSelect.value);
+  }
+
+  renderUserSelect('heatmap-contributor-select', options.contributors, filters.heatmapContributor,
+    value => onChange('heatmapContributor', value));
+
+  document.querySelectorAll('[data-filter="heatmap-weight"]').forEach(pill => {
+    pill.classList.toggle('active', pill.dataset.value === filters.heatmapWeight);
+    pill.onclick = () => onChange('heatmapWeight', pill.dataset.value);
+  });
+
+  // Label, author, date and points facets, options come from the loaded data
+  renderMultiSelect('label-select', options.labels, filters.labels, values => onChange('labels', values));
+  renderUserSelect('author-select', options.authors, filters.author, value => onChange('author', value));
+  renderMultiSelect('pr-label-select', options.prLabels, filters.prLabels, values => onChange('prLabels', values));
+  renderUserSelect('pr-author-select', options.prAuthors, filters.prAuthor, value => onChange('prAuthor', value));
+
+  const dateFieldSelect = document.getElementById('date-field-select');
+  if (dateFieldSelect) {
+    dateFieldSelect.value = filters.dateField;
+    dateFieldSelect.onchange = () => onChange('dateField', dateFieldSelect.value);
+  }
+
+  [['date-from', 'dateFrom'], ['date-to', 'dateTo'], ['points-min', 'pointsMin'], ['points-max', 'pointsMax']].forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.value = filters[key];
+    input.onchange = () => onChange(key, input.value);
+  });
+
   // Points toggle
   const pointsToggle = document.getElementById('toggle-points');
   if (pointsToggle) {
@@ -440,6 +1022,15 @@ export function renderFiltersBar(filters, onChange) {
     };
   }
 
+  // Group by category toggle
+  const groupToggle = document.getElementById('toggle-group-category');
+  if (groupToggle) {
+    groupToggle.classList.toggle('active', filters.groupBy === 'category');
+    groupToggle.parentElement.onclick = () => {
+      onChange('groupBy', filters.groupBy === 'category' ? 'none' : 'category');
+    };
+  }
+
   // Sort select
   const sortSelect = document.getElementById('sort-select');
   if (sortSelect) {
@@ -448,57 +1039,151 @@ export function renderFiltersBar(filters, onChange) {
   }
 }
 
+/**
+ * Render a checkbox dropdown for a multi-value filter
+ * Selected values missing from the options stay listed so they can be cleared
+ * @param {string} id - Id of the details element
+ * @param {Array} values - Available values
+ * @param {Array} selected - Currently selected values
+ * @param {Function} onChange - callback(selectedValues)
+ */
+function renderMultiSelect(id, values = [], selected = [], onChange) {
+  const el = document.getElementById(id);
+  if (!el) return;
+
+  const all = [...selected.filter(v => !values.includes(v)), ...values];
+  el.querySelector('summary').textContent = selected.length > 0 ? `${selected.length} محدد` : 'الكل';
+
+  const optionsEl = el.querySelector('.multi-select-options');
+  optionsEl.innerHTML = all.length > 0
+    ? all.map(value => `
+      <label class="multi-select-option">
+        <input type="checkbox" value="${escapeHtml(value)}" ${selected.includes(value) ? 'checked' : ''}>
+        <span class="truncate">${escapeHtml(value)}</span>
+      </label>
+    `).join('')
+    : '<p class="text-xs text-muted-foreground p-2">لا توجد وسوم</p>';
+
+  optionsEl.querySelectorAll('input[type="checkbox"]').forEach(input => {
+    input.onchange = () => {
+      const values = Array.from(optionsEl.querySelectorAll('input:checked')).map(i => i.value);
+      onChange(values);
+    };
+  });
+}
+
+/**
+ * Render a select of GitHub users, the empty value means anyone
+ * @param {string} id - Id of the select element
+ * @param {Array} authors - Available logins
+ * @param {string} value - Selected login
+ * @param {Function} onChange - callback(login)
+ */
+function renderUserSelect(id, authors = [], value = '', onChange) {
+  const select = document.getElementById(id);
+  if (!select) return;
+
+  const logins = value && !authors.includes(value) ? [value, ...authors] : authors;
+  select.innerHTML = [
+    '<option value="">الكل</option>',
+    ...logins.map(login => `<option value="${escapeHtml(login)}">${escapeHtml(login)}</option>`)
+  ].join('');
+  select.value = value;
+  select.onchange = () => onChange(select.value);
+}
+
 /**
  * Render heatmaps for assigned and closed issues
- * @param {Object} data { assigned, closed }
+ * @param {Object} data { assigned, closed, merged_prs, open_prs }
  * @param {Function} onDayClick callback(date, type)
+ * @param {Object} options - { weight: 'points' } when the issue heatmaps hold points
  */
-export function renderHeatmaps(data, onDayClick) {
+export function renderHeatmaps(data, onDayClick, options = {}) {
   if (!heatmapAssignedEl || !heatmapClosedEl) return;
 
-  const renderGrid = (container, counts, type) => {
-    if (!container) return;
-    const dates = Object.keys(counts).sort();
-    const html = dates.map(date => {
-      const count = counts[date];
-      let level = 0;
-      if (count > 0) level = 1;
-      if (count > 3) level = 2;
-      if (count > 7) level = 3;
-      if (count > 12) level = 4;
-
-      const formattedDate = new Date(date).toLocaleDateString('ar-EG', { month: 'short', day: 'numeric' });
-      const tooltip = `${formattedDate}: ${count} عنصر`;
-
-      return `<div 
-        class="heatmap-cell" 
-        data-count="${count}" 
-        data-level="${level}" 
-        data-tooltip="${tooltip}" 
-        data-date="${date}"
-        data-type="${type}"
-      ></div>`;
-    }).join('');
-
-    container.innerHTML = html;
-
-    // Add click listeners
-    container.querySelectorAll('.heatmap-cell').forEach(cell => {
-      cell.addEventListener('click', (e) => {
-        const date = cell.dataset.date;
-        const type = cell.dataset.type;
-        onDayClick(date, type);
-      });
-    });
-  };
+  const issueUnit = options.weight === 'points' ? 'نقطة' : 'عنصر';
+  renderHeatmapGrid(heatmapAssignedEl, data.assigned, 'assigned', onDayClick, issueUnit);
+  if (data.assignedUnknown > 0) {
+    document.getElementById('heatmap-assigned-legend')?.insertAdjacentHTML('beforeend',
+      `<span class="text-muted-foreground" title="لم يُحمَّل سجل الإسناد لهذه المهام">(${data.assignedUnknown} مهمة بوقت إسناد غير معروف)</span>`);
+  }
+  renderHeatmapGrid(heatmapClosedEl, data.closed, 'closed', onDayClick, issueUnit);
+  renderHeatmapGrid(heatmapMergedPrsEl, data.merged_prs, 'merged_prs', onDayClick);
+  renderHeatmapGrid(heatmapOpenPrsEl, data.open_prs, 'open_prs', onDayClick);
+}
 
-  renderGrid(heatmapAssignedEl, data.assigned, 'assigned');
-  renderGrid(heatmapClosedEl, data.closed, 'closed');
-  renderGrid(heatmapMergedPrsEl, data.merged_prs, 'merged_prs');
-  renderGrid(heatmapOpenPrsEl, data.open_prs, 'open_prs');
+// Weeks start on Saturday
+const WEEKDAYS = ['س', 'ح', 'ن', 'ث', 'ر', 'خ', 'ج'];
+
+/**
+ * Render one heatmap grid as a calendar with a row per week
+ * The legend goes into the element with the grid's id plus "-legend", when present
+ * @param {HTMLElement} container - Grid element
+ * @param {Object} counts - { 'YYYY-MM-DD': value }
+ * @param {string} type - Passed back to onDayClick
+ * @param {Function} onDayClick - callback(date, type), cells are not clickable without it
+ * @param {string} unit - What the values count, for tooltips and the legend
+ */
+function renderHeatmapGrid(container, counts, type, onDayClick, unit = 'عنصر') {
+  if (!container) return;
+  const dates = Object.keys(counts).sort();
+  const { levelOf, ranges } = getQuantileLevels(dates.map(date => counts[date]));
+
+  // Pad the first week so every day sits under its weekday
+  const offset = dates.length > 0 ? (new Date(`${dates[0]}T00:00:00Z`).getUTCDay() + 1) % 7 : 0;
+
+  const cells = dates.map(date => {
+    const count = counts[date];
+    const formattedDate = new Date(date).toLocaleDateString('ar-EG', { weekday: 'short', month: 'short', day: 'numeric' });
+    const tooltip = `${formattedDate}: ${count} ${unit}`;
+
+    return `<div 
+      class="heatmap-cell" 
+      data-count="${count}" 
+      data-level="${levelOf(count)}" 
+      data-tooltip="${tooltip}" 
+      data-date="${date}"
+      data-type="${type}"
+    ></div>`;
+  }).join('');
+
+  container.innerHTML = [
+    ...WEEKDAYS.map(day => `<div class="heatmap-weekday">${day}</div>`),
+    '<div></div>'.repeat(offset),
+    cells
+  ].join('');
+
+  const legendEl = document.getElementById(`${container.id}-legend`);
+  if (legendEl) {
+    legendEl.innerHTML = ranges.length > 0
+      ? ranges.map(r => `
+        <span class="heatmap-legend-item">
+          <span class="heatmap-swatch" data-level="${r.level}"></span>
+          ${r.min === r.max ? r.min : `${r.min}–${r.max}`}
+        </span>
+      `).join('') + `<span>${unit}</span>`
+      : '<span>لا يوجد نشاط</span>';
+  }
+
+  if (!onDayClick) return;
+
+  // Add click listeners
+  container.querySelectorAll('.heatmap-cell').forEach(cell => {
+    cell.addEventListener('click', () => {
+      onDayClick(cell.dataset.date, cell.dataset.type);
+    });
+  });
 }
 
-export function showDayActivity(date, type, items, onIssueClick) {
+/**
+ * Show the items behind a heatmap or burn-up day
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} type - 'assigned', 'closed', 'merged_prs', 'open_prs' or 'points'
+ * @param {Array} items - { issue, owner, repo, projectName }
+ * @param {Function} onIssueClick - callback(issue, owner, repo)
+ * @param {Object} options - { contributor } the login the day is scoped to, for its assignment times
+ */
+export function showDayActivity(date, type, items, onIssueClick, options = {}) {
   if (!dayModalEl || !dayIssuesListEl || !dayModalTitleEl) return;
 
   const formattedDate = new Date(date).toLocaleDateString('ar-EG', { month: 'long', day: 'numeric', year: 'numeric' });
@@ -509,6 +1194,7 @@ export function showDayActivity(date, type, items, onIssueClick) {
     case 'closed': typeText = 'المهام المغلقة'; break;
     case 'merged_prs': typeText = 'طلبات السحب المدمجة'; break;
     case 'open_prs': typeText = 'طلبات السحب المفتوحة'; break;
+    case 'points': typeText = 'النقاط المحصلة'; break;
   }
 
   dayModalTitleEl.textContent = `${typeText} - ${formattedDate}`;
@@ -548,7 +1234,7 @@ export function showDayActivity(date, type, items, onIssueClick) {
           <div class="flex items-center justify-between mb-3 pb-2 border-b border-border">
             <h3 class="text-sm font-bold flex items-center gap-2">
               <i data-lucide="folder-git-2" class="w-4 h-4 text-primary"></i>
-              ${group.name}
+              ${escapeHtml(group.name)}
             </h3>
             <div class="flex gap-2">
               <span class="badge badge-secondary text-[10px]">${group.stats.issues} مهام</span>
@@ -564,14 +1250,19 @@ export function showDayActivity(date, type, items, onIssueClick) {
 
         const statusClass = issue.state === 'open' ? 'open' : 'closed';
         const dateLabel = new Date(issue.created_at).toLocaleDateString('ar-EG', { month: 'short', day: 'numeric' });
+        const timeToClose = type === 'closed' || type === 'points' ? getTimeToClose(issue) : null;
+        const assignedAt = type === 'assigned' ? getAssignedAt(issue, options.contributor) : null;
+        const assignedTimeLabel = assignedAt
+          ? new Date(assignedAt).toLocaleTimeString('ar-EG', { hour: '2-digit', minute: '2-digit' })
+          : '';
 
         return `
                 <div class="issue-card" data-issue-key="${item.owner}/${item.repo}/${issue.number}">
                   <div class="issue-status ${statusClass}"></div>
                   <div class="issue-content">
                     <div class="flex items-center gap-2">
-                      <div class="issue-title truncate text-xs">${issue.title}</div>
-                      <a href="${issue.html_url}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto">
+                      <div class="issue-title truncate text-xs">${escapeHtml(issue.title)}</div>
+                      <a href="${escapeUrl(issue.html_url)}" target="_blank" rel="noopener" class="text-muted-foreground hover:text-primary transition-colors ml-auto">
                         <i data-lucide="external-link" class="w-3 h-3"></i>
                       </a>
                     </div>
@@ -580,21 +1271,23 @@ export function showDayActivity(date, type, items, onIssueClick) {
                       <div class="flex items-center gap-3">
                         ${author ? `
                           <div class="flex items-center gap-1" title="صاحب الطلب/المهمة">
-                            <div class="avatar"><img src="${author.avatar_url}" alt="${author.login}"></div>
-                            <span class="text-[10px] text-muted-foreground">${author.login}</span>
+                            <div class="avatar"><img src="${escapeUrl(author.avatar_url)}" alt="${escapeHtml(author.login)}"></div>
+                            <span class="text-[10px] text-muted-foreground">${escapeHtml(author.login)}</span>
                           </div>
                         ` : ''}
                         
                         ${assignee ? `
                           <div class="flex items-center gap-1" title="المسند إليه">
                             <i data-lucide="arrow-left" class="w-2 h-2 text-muted-foreground"></i>
-                            <div class="avatar"><img src="${assignee.avatar_url}" alt="${assignee.login}"></div>
-                            <span class="text-[10px] text-muted-foreground">${assignee.login}</span>
+                            <div class="avatar"><img src="${escapeUrl(assignee.avatar_url)}" alt="${escapeHtml(assignee.login)}"></div>
+                            <span class="text-[10px] text-muted-foreground">${escapeHtml(assignee.login)}</span>
                           </div>
                         ` : ''}
                       </div>
                       
                       <div class="flex items-center gap-2 text-[10px] text-muted-foreground">
+                        ${assignedTimeLabel ? `<span title="وقت الإسناد">${assignedTimeLabel}</span><span>•</span>` : ''}
+                        ${timeToClose !== null ? `<span title="المدة من الإسناد حتى الإغلاق">${formatDuration(timeToClose)}</span><span>•</span>` : ''}
                         <span>#${issue.number}</span>
                         <span>•</span>
                         <span>${dateLabel}</span>
@@ -636,3 +1329,243 @@ export function closeDayModal() {
   dayModalEl?.classList.remove('active');
   document.body.style.overflow = '';
 }
+
+/**
+ * Show the profile panel of a contributor
+ * @param {Object} contributor - Entry from buildContributorLeaderboard
+ * @param {Object} profile - From buildContributorProfile
+ * @param {Function} onIssueClick - callback(issue, owner, repo)
+ */
+export function showContributorProfile(contributor, profile, onIssueClick) {
+  if (!profileModalEl || !profileBodyEl) return;
+
+  profileModalTitleEl.textContent = contributor.username;
+
+  const renderItem = (item, isPR) => {
+    const key = `${item.owner}/${item.repo}/${item.number}`;
+    issueCache.set(key, { issue: item, owner: item.owner, repo: item.repo });
+
+    let status = item.state === 'open' ? 'open' : 'closed';
+    if (!isPR && item.completion?.status === 'not_counted') status = 'not-counted';
+    const dateLabel = new Date(item.created_at).toLocaleDateString('ar-EG', { month: 'short', day: 'numeric' });
+
+    return `
+      <div class="issue-card" data-issue-key="${key}">
+        <div class="issue-status ${status}"></div>
+        <div class="issue-content">
+          <div class="issue-title truncate text-xs">${escapeHtml(item.title)}</div>
+          <div class="flex items-center gap-2 mt-1 text-[10px] text-muted-foreground">
+            <span>${escapeHtml(item.projectName)}</span>
+            <span>•</span>
+            <span>#${item.number}</span>
+            <span>•</span>
+            <span>${dateLabel}</span>
+            ${isPR && item.merged_at ? '<span class="badge badge-success text-[10px]">مدمج</span>' : ''}
+          </div>
+        </div>
+        ${!isPR && item.points > 0 ? `<span class="badge badge-points">${item.points}</span>` : ''}
+      </div>
+    `;
+  };
+
+  profileBodyEl.innerHTML = `
+    <div class="profile-header">
+      <div class="contributor-avatar">
+        <img src="${escapeUrl(contributor.avatar_url)}" alt="${escapeHtml(contributor.username)}">
+      </div>
+      <div>
+        <a href="${escapeUrl(contributor.html_url)}" target="_blank" rel="noopener" class="font-bold hover:text-primary">${escapeHtml(contributor.username)}</a>
+        <div class="profile-stats">
+          <span class="badge badge-points">${contributor.totalPoints} نقطة</span>
+          <span class="contributor-stat">${contributor.closedCount} مغلقة</span>
+          <span class="contributor-stat">${contributor.assignedCount} مسندة</span>
+          <span class="contributor-stat">${profile.prs.length} طلب سحب (${profile.merged} مدمج)</span>
+        </div>
+      </div>
+    </div>
+
+    <div class="profile-section">
+      <h3 class="profile-section-title">حسب المشروع</h3>
+      ${profile.byProject.length > 0 ? `
+        <div class="profile-projects">
+          ${profile.byProject.map(p => `
+            <div class="profile-project-row">
+              <span class="truncate">${escapeHtml(p.name)}</span>
+              <span class="contributor-stat">${p.closed} مغلقة</span>
+              <span class="contributor-stat">${p.assigned} مسندة</span>
+              <span class="badge badge-points">${p.points}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : '<p class="text-xs text-muted-foreground">لا توجد مهام في هذه الحملة.</p>'}
+    </div>
+
+    <div class="profile-section">
+      <h3 class="profile-section-title">النشاط</h3>
+      <div id="profile-heatmap" class="heatmap-container"></div>
+      <div id="profile-heatmap-legend" class="heatmap-legend"></div>
+    </div>
+
+    <div class="profile-section">
+      <h3 class="profile-section-title">المهام (${profile.issues.length})</h3>
+      <div class="space-y-2">
+        ${profile.issues.map(issue => renderItem(issue, false)).join('')}
+      </div>
+    </div>
+
+    <div class="profile-section">
+      <h3 class="profile-section-title">طلبات السحب (${profile.prs.length})</h3>
+      <div class="space-y-2">
+        ${profile.prs.length > 0
+          ? profile.prs.map(pr => renderItem(pr, true)).join('')
+          : '<p class="text-xs text-muted-foreground">لا توجد طلبات سحب.</p>'}
+      </div>
+    </div>
+  `;
+
+  renderHeatmapGrid(document.getElementById('profile-heatmap'), profile.activity, 'activity');
+
+  profileBodyEl.querySelectorAll('.issue-card').forEach(card => {
+    card.addEventListener('click', () => {
+      const cached = issueCache.get(card.dataset.issueKey);
+      if (cached) onIssueClick(cached.issue, cached.owner, cached.repo);
+    });
+  });
+
+  profileBackdropEl.classList.add('active');
+  profileModalEl.classList.add('active');
+  document.body.style.overflow = 'hidden';
+
+  if (window.lucide) window.lucide.createIcons();
+}
+
+export function closeContributorProfile() {
+  profileBackdropEl?.classList.remove('active');
+  profileModalEl?.classList.remove('active');
+  document.body.style.overflow = '';
+}
+
+/**
+ * Render the trends panel, one small line chart per total
+ * @param {Array} series - From getTrendSeries
+ */
+export function renderTrends(series) {
+  const container = document.getElementById('trends-charts');
+  if (!container) return;
+
+  const days = series[0]?.points.length || 0;
+  if (days < 2) {
+    container.innerHTML = '<p class="text-xs text-muted-foreground">تظهر الاتجاهات بعد تسجيل لقطتين في يومين مختلفين على الأقل.</p>';
+    return;
+  }
+
+  container.innerHTML = series.map(s => renderTrendChart(s)).join('');
+}
+
+function renderTrendChart(series) {
+  const width = 300;
+  const height = 80;
+  const padding = 4;
+  const values = series.points.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const coords = series.points.map((p, index) => {
+    const x = padding + (index / (series.points.length - 1)) * (width - padding * 2);
+    const y = height - padding - ((p.value - min) / range) * (height - padding * 2);
+    return { x, y, ...p };
+  });
+  const first = series.points[0];
+  const last = series.points[series.points.length - 1];
+
+  return `
+    <div class="trend-chart">
+      <div class="flex items-center justify-between text-xs mb-1">
+        <span class="font-medium">${escapeHtml(series.title)}</span>
+        <span class="font-bold">${escapeHtml(last.value)}</span>
+      </div>
+      <svg viewBox="0 0 ${width} ${height}" class="trend-svg" role="img" aria-label="${escapeHtml(series.title)}">
+        <polyline points="${coords.map(c => `${c.x},${c.y}`).join(' ')}" />
+        ${coords.map(c => `<circle cx="${c.x}" cy="${c.y}" r="2.5"><title>${escapeHtml(c.date)}: ${escapeHtml(c.value)}</title></circle>`).join('')}
+      </svg>
+      <div class="flex items-center justify-between text-[10px] text-muted-foreground mt-1" dir="ltr">
+        <span>${escapeHtml(first.date)}</span>
+        <span>${escapeHtml(last.date)}</span>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the burn-up chart of points collected against points offered
+ * @param {Object} burnUp - From calculateBurnUp
+ * @param {Function} onDayClick - callback(date, 'points')
+ */
+export function renderBurnUp(burnUp, onDayClick) {
+  const chartEl = document.getElementById('burnup-chart');
+  const summaryEl = document.getElementById('burnup-summary');
+  if (!chartEl) return;
+
+  const { days } = burnUp;
+  if (days.length === 0 || burnUp.offered === 0) {
+    chartEl.innerHTML = '<p class="text-xs text-muted-foreground">لا توجد نقاط معروضة في هذا النطاق.</p>';
+    if (summaryEl) summaryEl.innerHTML = '';
+    return;
+  }
+
+  const width = 600;
+  const height = 200;
+  const padding = 8;
+  const max = Math.max(burnUp.offered, ...days.map(d => d.projected || 0)) || 1;
+  const step = days.length > 1 ? (width - padding * 2) / (days.length - 1) : 0;
+  const x = index => padding + index * step;
+  const y = value => height - padding - (value / max) * (height - padding * 2);
+
+  const line = key => days
+    .map((day, index) => day[key] === null ? null : `${x(index)},${y(day[key])}`)
+    .filter(Boolean)
+    .join(' ');
+
+  // Full-height hit areas so a day is easy to click
+  const columns = days.map((day, index) => `
+    <rect class="burnup-day" x="${x(index) - step / 2}" y="0" width="${Math.max(step, 4)}" height="${height}" data-date="${day.date}">
+      <title>${day.date}${day.collected !== null ? `: ${day.collected} من ${day.offered} نقطة` : ` (متوقع ${day.projected ?? '—'})`}</title>
+    </rect>
+  `).join('');
+
+  chartEl.innerHTML = `
+    <svg viewBox="0 0 ${width} ${height}" class="burnup-svg" role="img" aria-label="النقاط المحصلة مقابل المعروضة">
+      <polyline class="burnup-offered" points="${line('offered')}" />
+      <polyline class="burnup-projected" points="${line('projected')}" />
+      <polyline class="burnup-collected" points="${line('collected')}" />
+      ${columns}
+    </svg>
+    <div class="flex items-center justify-between text-[10px] text-muted-foreground mt-1" dir="ltr">
+      <span>${days[0].date}</span>
+      <span>${days[days.length - 1].date}</span>
+    </div>
+  `;
+
+  chartEl.querySelectorAll('.burnup-day').forEach(rect => {
+    rect.addEventListener('click', () => onDayClick(rect.dataset.date, 'points'));
+  });
+
+  if (summaryEl) {
+    let finishText = 'لا يمكن التوقع بعد';
+    if (burnUp.collected >= burnUp.offered) {
+      finishText = 'تم جمع كل النقاط المعروضة';
+    } else if (burnUp.finishDate) {
+      finishText = !burnUp.end || burnUp.finishDate <= burnUp.end
+        ? `الإنجاز المتوقع ${burnUp.finishDate}`
+        : `بهذا المعدل لن تكتمل قبل نهاية الحملة ${burnUp.end} (المتوقع ${burnUp.finishDate})`;
+    }
+    summaryEl.innerHTML = `
+      <span><strong>${burnUp.collected}</strong> من ${burnUp.offered} نقطة</span>
+      <span>•</span>
+      <span>${burnUp.rate} نقطة/يوم</span>
+      <span>•</span>
+      <span>${finishText}</span>
+    `;
+  }
+}